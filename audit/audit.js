@@ -0,0 +1,200 @@
+// ============================================================================
+// Aclarador Chrome Extension - Site Audit
+// Audits a list of URLs or the pages of a sitemap.xml and ranks them on a
+// dashboard that can be exported as CSV.
+// ============================================================================
+
+let auditRows = [];
+let auditController = null;
+let auditRewrite = false;
+
+document.addEventListener('DOMContentLoaded', () => {
+  I18n.localize(document);
+  document.getElementById('startAuditBtn').addEventListener('click', startAudit);
+  document.getElementById('cancelAuditBtn').addEventListener('click', () => auditController?.abort());
+  document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+});
+
+async function startAudit() {
+  hideError();
+
+  const sitemapUrl = document.getElementById('sitemapUrl').value.trim();
+  const listed = SiteAudit.parseUrlList(document.getElementById('auditUrls').value);
+  if (!sitemapUrl && listed.length === 0) {
+    showError(I18n.t('auditErrorNoUrls'));
+    return;
+  }
+  if (sitemapUrl && !/^https?:\/\//i.test(sitemapUrl)) {
+    showError(I18n.t('auditErrorSitemapUrl'));
+    return;
+  }
+
+  // Host access has to be requested straight from the click
+  const origins = [...new Set([...listed, sitemapUrl].filter(Boolean).map(url => `${new URL(url).origin}/*`))];
+  const granted = await chrome.permissions.request({ origins });
+  if (!granted) {
+    showError(I18n.t('auditErrorPermission'));
+    return;
+  }
+
+  const concurrency = Math.min(8, Math.max(1, parseInt(document.getElementById('auditConcurrency').value, 10) || 3));
+  const maxPages = Math.max(1, parseInt(document.getElementById('auditMaxPages').value, 10) || 200);
+  auditRewrite = document.getElementById('auditRewrite').checked;
+
+  const startBtn = document.getElementById('startAuditBtn');
+  const cancelBtn = document.getElementById('cancelAuditBtn');
+  startBtn.disabled = true;
+  cancelBtn.disabled = false;
+  auditController = new AbortController();
+  const { signal } = auditController;
+
+  auditRows = [];
+  document.getElementById('auditProgress').style.display = 'block';
+  renderDashboard();
+
+  try {
+    const settings = { ...await AgentSettings.load(), cache: RewriteCache };
+    if (auditRewrite) {
+      const provider = new ChatCompletionProvider({ ...settings.llm, apiKey: settings.apiKey });
+      if (provider.requiresApiKey && !provider.apiKey) {
+        throw new Error(I18n.t('auditErrorMissingKey'));
+      }
+    }
+
+    let urls = listed;
+    if (sitemapUrl) {
+      setAuditStatus(I18n.t('auditReadingSitemap'), 0);
+      urls = [...new Set([...listed, ...await SiteAudit.fetchSitemap(sitemapUrl, { signal })])];
+    }
+    if (urls.length === 0) throw new Error(I18n.t('auditErrorEmptySitemap'));
+
+    const skipped = Math.max(0, urls.length - maxPages);
+    urls = urls.slice(0, maxPages);
+
+    setAuditStatus(I18n.t('auditProgress', 0, urls.length), 0);
+    await SiteAudit.runPool(urls, concurrency, async url => {
+      const row = await SiteAudit.auditPage(url, { rewrite: auditRewrite, settings, signal });
+      auditRows.push(row);
+      setAuditStatus(I18n.t('auditProgress', auditRows.length, urls.length), auditRows.length / urls.length);
+      renderDashboard();
+    });
+
+    setAuditStatus(
+      skipped > 0 ? I18n.t('auditDoneSkipped', urls.length, skipped) : I18n.t('auditDone', urls.length),
+      1
+    );
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      setAuditStatus(I18n.t('auditCancelled', auditRows.length), null);
+    } else {
+      console.error('Audit error:', error);
+      showError(error.message);
+      document.getElementById('auditProgress').style.display = 'none';
+    }
+  } finally {
+    startBtn.disabled = false;
+    cancelBtn.disabled = true;
+    auditController = null;
+  }
+}
+
+function setAuditStatus(message, fraction) {
+  document.getElementById('auditStatus').textContent = message;
+  if (fraction !== null) {
+    document.getElementById('auditProgressBar').style.width = `${Math.round(fraction * 100)}%`;
+  }
+}
+
+// ============================================================================
+// Dashboard
+// ============================================================================
+
+function renderDashboard() {
+  const dashboard = document.getElementById('auditDashboard');
+  dashboard.style.display = auditRows.length > 0 ? 'block' : 'none';
+
+  const summary = SiteAudit.summarize(auditRows);
+  const percent = value => value === null ? '--' : `${Math.round(value * 100)}%`;
+
+  document.getElementById('auditAnalyzed').textContent = `${summary.analyzed}`;
+  document.getElementById('auditFailed').textContent = summary.failed > 0 ? I18n.t('auditFailed', summary.failed) : '';
+  document.getElementById('auditQuality').textContent = percent(summary.qualityScore);
+  document.getElementById('auditImprovedQuality').textContent = summary.improvedQualityScore !== null
+    ? I18n.t('auditImproved', percent(summary.improvedQualityScore))
+    : '';
+  document.getElementById('auditInflesz').textContent = summary.inflesz === null ? '--' : summary.inflesz.toFixed(0);
+  document.getElementById('auditHighSeverity').textContent = `${summary.highSeverity}`;
+
+  document.querySelector('.audit-table').classList.toggle('with-rewrite', auditRewrite);
+  const table = document.getElementById('auditTable');
+  table.innerHTML = '';
+
+  SiteAudit.rank(auditRows).forEach((row, idx) => {
+    const tr = document.createElement('tr');
+    const page = `
+      <a href="${escapeHtml(row.url)}" target="_blank" rel="noopener">${escapeHtml(row.title || row.url)}</a>
+      ${row.title ? `<div class="audit-page-url">${escapeHtml(row.url)}</div>` : ''}
+    `;
+
+    if (row.status === 'error') {
+      tr.className = 'audit-error';
+      tr.innerHTML = `<td>${idx + 1}</td><td>${page}</td><td colspan="10">${escapeHtml(row.error)}</td>`;
+    } else {
+      tr.innerHTML = `
+        <td>${idx + 1}</td>
+        <td>${page}</td>
+        <td>${escapeHtml(auditLanguage(row.language))}</td>
+        <td><span class="audit-severity audit-severity-${row.severity}">${escapeHtml(SEVERITY_LABELS[row.severity] || row.severity)}</span></td>
+        <td>${percent(row.qualityScore)}</td>
+        <td>${row.inflesz === null ? '--' : row.inflesz.toFixed(0)}</td>
+        <td>${row.longSentences}</td>
+        <td>${row.styleIssues}</td>
+        <td>${row.grammarIssues}</td>
+        <td>${row.lexiconIssues}</td>
+        ${row.error
+          ? `<td class="audit-rewrite-column audit-rewrite-error" colspan="2">${escapeHtml(row.error)}</td>`
+          : `<td class="audit-rewrite-column">${row.improvedQualityScore === undefined ? '--' : percent(row.improvedQualityScore)}</td>
+        <td class="audit-rewrite-column">${row.preservationIssues ?? '--'}</td>`}
+      `;
+    }
+    table.appendChild(tr);
+  });
+}
+
+// Unsupported languages only get the checks that do not depend on it
+function auditLanguage(code) {
+  const language = Languages.get(code);
+  return language.supported ? language.label : I18n.t('auditUnsupportedLanguage', language.label);
+}
+
+function exportCsv() {
+  if (auditRows.length === 0) return;
+
+  const url = URL.createObjectURL(new Blob([SiteAudit.toCSV(auditRows)], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `aclarador-auditoria-${new Date().toISOString().slice(0, 10)}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================================
+// UI Helpers
+// ============================================================================
+
+function showError(message) {
+  document.getElementById('errorMessage').textContent = message;
+  document.getElementById('errorSection').style.display = 'block';
+}
+
+function hideError() {
+  document.getElementById('errorSection').style.display = 'none';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -0,0 +1,184 @@
+// ============================================================================
+// Aclarador Chrome Extension - Background Service Worker
+// Context-menu entry point: runs the agent pipeline on the selected text and
+// shows the result in an extension page. Also rewrites single paragraphs for
+// the inline suggestions of the content script, and loads that script into
+// the frames where they are needed.
+// ============================================================================
+
+importScripts(
+  'lib/i18n.js',
+  'lib/languages.js',
+  'lib/tokenizer.js',
+  'lib/readability.js',
+  'lib/passive.js',
+  'lib/providers.js',
+  'lib/rules.js',
+  'lib/audiences.js',
+  'lib/easyread.js',
+  'lib/agents.js',
+  'lib/hash.js',
+  'lib/history.js',
+  'lib/cache.js'
+);
+
+const SELECTION_MENU_ID = 'aclarar-seleccion';
+
+// Same files, in the same order, as CONTENT_SCRIPT_FILES in popup/popup.js
+const CONTENT_SCRIPT_FILES = [
+  'lib/i18n.js', 'lib/languages.js', 'lib/tokenizer.js', 'lib/readability.js', 'lib/passive.js',
+  'lib/providers.js', 'lib/rules.js', 'lib/audiences.js', 'lib/easyread.js', 'lib/agents.js', 'lib/extract.js',
+  'content/content.js'
+];
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: SELECTION_MENU_ID,
+    title: I18n.t('menuClarifySelection'),
+    contexts: ['selection']
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === SELECTION_MENU_ID) {
+    analyzeSelection(info, tab);
+  }
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'rewriteParagraph') {
+    rewriteParagraph(request.text, request.lang)
+      .then(rewrittenText => sendResponse({ success: true, rewrittenText }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // keep message channel open for async response
+  }
+  if (request.action === 'loadInlineChecker' && sender.tab) {
+    // Sent by content/loader.js when a field of its frame gets focus
+    injectContentScript(sender.tab.id, sender.frameId)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+});
+
+// ============================================================================
+// Selection Analysis
+// ============================================================================
+
+// The latest run lives in storage under selectionAnalysis:
+// { runId, status: 'running'|'done'|'error', tabId, text, metadata, result?, error? }
+// Progress is broadcast as 'selectionProgress' messages to the results page.
+async function analyzeSelection(info, tab) {
+  const runId = Date.now().toString(36);
+  const { text, metadata } = await readSelection(info, tab);
+
+  await chrome.storage.local.set({
+    selectionAnalysis: { runId, status: 'running', tabId: tab ? tab.id : null, text, metadata }
+  });
+  await chrome.tabs.create({ url: chrome.runtime.getURL(`popup/popup.html?selection=${runId}`) });
+
+  // Extension API calls reset the worker's idle timer while the model answers
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), 20000);
+
+  try {
+    if (text.trim().length < 20) {
+      throw new Error(I18n.t('selectionTooShort'));
+    }
+
+    const settings = await loadAgentSettings();
+    const coordinator = new AgentCoordinator();
+    const result = await coordinator.processText(text, {
+      ...settings,
+      metadata,
+      onProgress: (agentName, status, detail) => {
+        // Nobody may be listening yet (or any more); that is fine
+        chrome.runtime.sendMessage({ action: 'selectionProgress', runId, agentName, status, detail })
+          .catch(() => {});
+      }
+    });
+
+    await saveSelectionAnalysis(runId, { status: 'done', result });
+    await AnalysisHistory.record(result, { scope: 'selection' })
+      .catch(error => console.error('History error:', error));
+  } catch (error) {
+    console.error('Selection analysis error:', error);
+    await saveSelectionAnalysis(runId, { status: 'error', error: error.message });
+  } finally {
+    clearInterval(keepAlive);
+  }
+}
+
+// Asks the content script for the selection, which keeps its line breaks.
+// Frames without the content script (iframes, PDFs) fall back to the
+// flattened selectionText of the menu click.
+async function readSelection(info, tab) {
+  if (tab && tab.id >= 0) {
+    const frameId = info.frameId || 0;
+    const request = { action: 'extractSelection' };
+    try {
+      let response;
+      try {
+        response = await chrome.tabs.sendMessage(tab.id, request, { frameId });
+      } catch (e) {
+        // Content script not loaded in that frame yet
+        await injectContentScript(tab.id, frameId);
+        response = await chrome.tabs.sendMessage(tab.id, request, { frameId });
+      }
+      if (response && response.success && response.text.trim()) {
+        return { text: response.text, metadata: response.metadata };
+      }
+    } catch (e) {
+      // The frame cannot be scripted (browser pages, PDFs...)
+    }
+  }
+
+  return {
+    text: info.selectionText || '',
+    metadata: { title: tab ? tab.title : '', url: info.frameUrl || info.pageUrl || '' }
+  };
+}
+
+function injectContentScript(tabId, frameId) {
+  return chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    files: CONTENT_SCRIPT_FILES
+  });
+}
+
+// Agent options from the settings saved by the popup
+async function loadAgentSettings() {
+  return { ...await AgentSettings.load(), cache: RewriteCache };
+}
+
+async function saveSelectionAnalysis(runId, update) {
+  const { selectionAnalysis } = await chrome.storage.local.get('selectionAnalysis');
+  // A newer selection has replaced this run
+  if (!selectionAnalysis || selectionAnalysis.runId !== runId) return;
+  await chrome.storage.local.set({ selectionAnalysis: { ...selectionAnalysis, ...update } });
+}
+
+// ============================================================================
+// Inline Paragraph Rewrite
+// ============================================================================
+
+// The content script cannot reach the model itself (page CSP and CORS), so
+// "Reescribir este párrafo" goes through the worker. lang is the lang
+// attribute that applies to the field.
+async function rewriteParagraph(text, lang = '') {
+  if (!text || text.trim().length < 20) {
+    throw new Error(I18n.t('inlineParagraphTooShort'));
+  }
+
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), 20000);
+  try {
+    const coordinator = new AgentCoordinator();
+    return await coordinator.rewriteParagraph(text, { ...await loadAgentSettings(), lang });
+  } catch (error) {
+    console.error('Paragraph rewrite error:', error);
+    throw error.code === 'missing_key'
+      ? new Error(I18n.t('inlineMissingKey'))
+      : error;
+  } finally {
+    clearInterval(keepAlive);
+  }
+}
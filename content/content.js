@@ -1,80 +1,815 @@
 // Content script: extracts text content from the active page
-// Responds to messages from the popup requesting page text
+// Responds to messages from the popup and the background worker requesting
+// page or selected text, highlights the issues found by the agents and
+// previews the rewritten text in the live DOM. While the user types in an
+// editable field it also underlines issues found by the local agents.
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'extractText') {
-    try {
-      const text = extractPageText();
-      const metadata = extractPageMetadata();
-      sendResponse({ success: true, text, metadata });
-    } catch (error) {
-      sendResponse({ success: false, error: error.message });
+// Injected on demand: by the popup to analyze the page and by the background
+// worker for the inline suggestions (see content/loader.js). The flag keeps a
+// single copy of its listeners when both happen.
+if (!window.__aclaradorLoaded) {
+  window.__aclaradorLoaded = true;
+
+  // Live elements behind each extracted block, by block id, and the original
+  // markup of the ones replaced by applyRewrite()
+  let sourceBlocks = new Map();
+  let appliedOriginals = new Map();
+
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'extractText') {
+      try {
+        const { text, blocks } = extractPageText();
+        const metadata = extractPageMetadata();
+        sendResponse({ success: true, text, blocks, metadata });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    } else if (request.action === 'extractSelection') {
+      // Selection.toString() keeps the line breaks that the context menu's
+      // selectionText collapses, so paragraphs survive
+      const text = PageExtractor.cleanWhitespace(window.getSelection().toString());
+      sendResponse({ success: true, text, metadata: extractPageMetadata() });
+    } else if (request.action === 'highlightIssues') {
+      try {
+        const highlighted = highlightIssues(request.issues || []);
+        sendResponse({ success: true, highlighted, total: request.issues?.length || 0 });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    } else if (request.action === 'clearHighlights') {
+      clearHighlights();
+      sendResponse({ success: true });
+    } else if (request.action === 'applyRewrite') {
+      try {
+        const applied = applyRewrite(request.replacements || []);
+        sendResponse({ success: true, applied });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    } else if (request.action === 'restoreOriginal') {
+      const restored = restoreOriginal();
+      sendResponse({ success: true, restored });
+    }
+    return true; // keep message channel open for async response
+  });
+
+  function extractPageText() {
+    // Tag live blocks so the ones surviving in the clone can be traced back
+    sourceBlocks = new Map();
+    document.body.querySelectorAll(BLOCK_SELECTOR).forEach((el, idx) => {
+      el.setAttribute('data-aclarador-block', idx);
+      sourceBlocks.set(String(idx), el);
+    });
+
+    // Clone body to manipulate without affecting the page
+    const clone = document.body.cloneNode(true);
+    sourceBlocks.forEach(el => el.removeAttribute('data-aclarador-block'));
+
+    return PageExtractor.extractText(clone);
+  }
+
+  function extractPageMetadata() {
+    return PageExtractor.metadata(document, window.location.href);
+  }
+
+  // ============================================================================
+  // Issue highlighting
+  // ============================================================================
+
+  function highlightIssues(issues) {
+    clearHighlights();
+    injectHighlightStyles();
+
+    // Group issues by sentence so each sentence gets a single mark
+    const bySentence = new Map();
+    issues.forEach(issue => {
+      const needle = (issue.text || '').replace(/\s+/g, ' ').trim();
+      if (needle.length < 3) return;
+      if (!bySentence.has(needle)) bySentence.set(needle, []);
+      bySentence.get(needle).push(issue);
+    });
+
+    const index = buildTextIndex(document.body);
+    const claimed = [];
+    const segments = [];
+    let highlighted = 0;
+
+    bySentence.forEach((sentenceIssues, needle) => {
+      const tip = sentenceIssues
+        .map(i => i.recommendation ? `${i.issue} — ${i.recommendation}` : i.issue)
+        .filter((line, idx, all) => all.indexOf(line) === idx)
+        .join('\n');
+      const kind = sentenceIssues[0].kind || 'general';
+
+      // A sentence repeated on the page (a notice in two sections, a
+      // boilerplate line) is marked everywhere it appears
+      let found = false;
+      for (let start = index.text.indexOf(needle); start !== -1; start = index.text.indexOf(needle, start + 1)) {
+        const end = start + needle.length;
+        if (claimed.some(([s, e]) => start < e && end > s)) continue;
+        claimed.push([start, end]);
+
+        collectSegments(index, start, end).forEach(segment => {
+          segments.push({ ...segment, tip, kind });
+        });
+        found = true;
+      }
+      if (found) highlighted++;
+    });
+
+    // Wrap from the end of each text node backwards so earlier offsets stay valid
+    segments
+      .sort((a, b) => a.order - b.order || b.start - a.start)
+      .forEach(({ node, start, end, tip, kind }) => {
+        const target = start > 0 ? node.splitText(start) : node;
+        if (end - start < target.length) target.splitText(end - start);
+
+        const mark = document.createElement('mark');
+        mark.className = `aclarador-mark aclarador-${kind}`;
+        mark.dataset.aclaradorTip = tip;
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+      });
+
+    const first = document.querySelector('mark.aclarador-mark');
+    if (first) first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    return highlighted;
+  }
+
+  function clearHighlights() {
+    document.querySelectorAll('mark.aclarador-mark').forEach(mark => {
+      const parent = mark.parentNode;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      parent.removeChild(mark);
+      parent.normalize();
+    });
+  }
+
+  // Builds the whitespace-collapsed text of the page along with a map from each
+  // character back to the text node and offset it came from. Text from
+  // different blocks is joined with the separator.
+  function buildTextIndex(root, separator = ' ') {
+    const skip = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION']);
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || skip.has(parent.tagName) || parent.closest('[hidden], [aria-hidden="true"]')) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    let text = '';
+    const positions = [];
+    let lastBlock = null;
+    let order = 0;
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode(), order++) {
+      // Separate text from different blocks, as extractPageText does
+      const block = closestBlock(node.parentElement);
+      if (lastBlock && block !== lastBlock && text && !text.endsWith(separator)) {
+        text += separator;
+        positions.push(null);
+      }
+      lastBlock = block;
+
+      const value = node.nodeValue;
+      for (let i = 0; i < value.length; i++) {
+        if (/\s/.test(value[i])) {
+          if (/\s$/.test(text) || text.length === 0) continue;
+          text += ' ';
+        } else {
+          text += value[i];
+        }
+        positions.push({ node, offset: i, order });
+      }
+    }
+
+    return { text, positions };
+  }
+
+  function closestBlock(element) {
+    let current = element;
+    while (current && current !== document.body) {
+      const display = getComputedStyle(current).display;
+      if (display !== 'inline' && display !== 'contents') return current;
+      current = current.parentElement;
+    }
+    return document.body;
+  }
+
+  // Splits a range of the indexed text into one segment per text node
+  function collectSegments(index, start, end) {
+    const segments = [];
+    let current = null;
+
+    for (let i = start; i < end; i++) {
+      const position = index.positions[i];
+      if (!position) continue;
+
+      if (current && current.node === position.node) {
+        current.end = position.offset + 1;
+      } else {
+        current = { node: position.node, order: position.order, start: position.offset, end: position.offset + 1 };
+        segments.push(current);
+      }
     }
+
+    return segments;
   }
-  return true; // keep message channel open for async response
-});
 
-function extractPageText() {
-  // Clone body to manipulate without affecting the page
-  const clone = document.body.cloneNode(true);
+  function injectHighlightStyles() {
+    if (document.getElementById('aclarador-highlight-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'aclarador-highlight-styles';
+    style.textContent = `
+      mark.aclarador-mark {
+        position: relative;
+        background: rgba(237, 137, 54, 0.3);
+        border-bottom: 2px solid #ed8936;
+        color: inherit;
+        cursor: help;
+      }
+      mark.aclarador-mark.aclarador-warning { background: rgba(229, 62, 62, 0.2); border-bottom-color: #e53e3e; }
+      mark.aclarador-mark.aclarador-style { background: rgba(66, 153, 225, 0.2); border-bottom-color: #4299e1; }
+      mark.aclarador-mark.aclarador-lexicon { background: rgba(159, 122, 234, 0.2); border-bottom-color: #9f7aea; }
+      mark.aclarador-mark.aclarador-grammar { background: transparent; border-bottom: none; text-decoration: underline wavy #e53e3e; }
+      .aclarador-applied { outline: 2px dashed #48bb78; outline-offset: 2px; }
+      mark.aclarador-mark:hover::after {
+        content: attr(data-aclarador-tip);
+        position: absolute;
+        left: 0;
+        top: 100%;
+        z-index: 2147483647;
+        width: max-content;
+        max-width: 320px;
+        padding: 6px 10px;
+        background: #000;
+        color: #fff;
+        font: 12px/1.4 Helvetica, Arial, sans-serif;
+        white-space: pre-line;
+        border-left: 3px solid #e10b17;
+        pointer-events: none;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // ============================================================================
+  // Apply rewritten text
+  // ============================================================================
+
+  function applyRewrite(replacements) {
+    clearHighlights();
+    injectHighlightStyles();
+    let applied = 0;
+
+    replacements.forEach(({ id, text }) => {
+      const element = sourceBlocks.get(String(id));
+      if (!element || !element.isConnected) return;
+
+      if (!appliedOriginals.has(element)) {
+        appliedOriginals.set(element, element.innerHTML);
+      }
+      element.textContent = text;
+      element.classList.add('aclarador-applied');
+      applied++;
+    });
+
+    return applied;
+  }
+
+  function restoreOriginal() {
+    let restored = 0;
+
+    appliedOriginals.forEach((html, element) => {
+      element.innerHTML = html;
+      element.classList.remove('aclarador-applied');
+      if (!element.className) element.removeAttribute('class');
+      restored++;
+    });
+    appliedOriginals = new Map();
 
-  // Remove elements that don't contain meaningful content
-  const selectorsToRemove = [
-    'script', 'style', 'noscript', 'iframe', 'svg',
-    'nav', 'footer', 'header',
-    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
-    '.cookie-banner', '.cookie-consent',
-    '#cookie-banner', '#cookie-consent'
+    return restored;
+  }
+
+  // ============================================================================
+  // Inline suggestions in editable fields
+  // ============================================================================
+
+  // Textareas, contenteditable hosts and the editable bodies of iframe editors
+  // (TinyMCE, CKEditor 4) are checked with the local agents while the user
+  // types. Textareas get a mirror overlay behind the text; rich editors use the
+  // CSS Custom Highlight API so their DOM is never modified.
+
+  const INLINE_DELAY = 800;
+  const INLINE_MAX_CHARS = 20000;
+  const INLINE_PRIORITY = { warning: 1, style: 2, grammar: 3 };
+  const INLINE_MIRRORED_STYLES = [
+    'boxSizing', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+    'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+    'textAlign', 'textIndent', 'textTransform', 'wordSpacing', 'tabSize', 'direction'
   ];
 
-  selectorsToRemove.forEach(selector => {
-    clone.querySelectorAll(selector).forEach(el => el.remove());
-  });
+  // { element, isTextarea, text, index, issues, qualityScore, timer, overlay, observer }
+  let inlineField = null;
+  let inlineCoordinator = null;
+  let inlinePanel = null;
+  // Rule settings (lib/rules.js) for the chosen audience, kept up to date.
+  // Fields are checked once they are loaded, while inlineChecks is on.
+  let inlineRules = null;
+
+  document.addEventListener('focusin', event => onEditableFocus(event.target), true);
+  watchInlineRules();
+
+  function onEditableFocus(target) {
+    if (!inlineRules || !inlineRules.inlineChecks) return;
+    const element = editableRoot(target);
+    if (!element || (inlineField && inlineField.element === element)) return;
+    detachInlineField();
+    attachInlineField(element);
+  }
+
+  // The textarea, or the outermost element of a contenteditable region
+  function editableRoot(target) {
+    if (!(target instanceof Element)) return null;
+    if (target.tagName === 'TEXTAREA') {
+      return target.readOnly || target.disabled ? null : target;
+    }
+    if (document.designMode === 'on') return document.body;
+    if (!target.isContentEditable) return null;
+
+    let root = target;
+    while (root.parentElement && root.parentElement.isContentEditable) root = root.parentElement;
+    return root;
+  }
+
+  function attachInlineField(element) {
+    // Injected without the agent libraries (old popup fallback)
+    if (typeof AgentCoordinator === 'undefined') return;
+    if (!inlineCoordinator) inlineCoordinator = new AgentCoordinator();
+    injectInlineStyles();
+
+    inlineField = {
+      element,
+      isTextarea: element.tagName === 'TEXTAREA',
+      text: '',
+      index: null,
+      issues: [],
+      qualityScore: 0,
+      timer: null,
+      overlay: null,
+      observer: null
+    };
 
-  // Try to find the main content area first
-  const mainContent = clone.querySelector(
-    'main, article, [role="main"], .content, .post-content, .entry-content, .article-body'
-  );
+    element.addEventListener('input', scheduleInlineCheck);
+    element.addEventListener('focusout', onEditableBlur);
+    ['keyup', 'mouseup', 'select'].forEach(type => element.addEventListener(type, updateInlineDetail));
+    window.addEventListener('scroll', positionInlineUi, true);
+    window.addEventListener('resize', positionInlineUi);
+    if (typeof ResizeObserver !== 'undefined') {
+      inlineField.observer = new ResizeObserver(positionInlineUi);
+      inlineField.observer.observe(element);
+    }
+
+    runInlineCheck();
+  }
 
-  const source = mainContent || clone;
+  function detachInlineField() {
+    if (!inlineField) return;
+    const { element, timer, overlay, observer } = inlineField;
 
-  // Extract text, preserving paragraph structure
-  const blocks = source.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, td, th, blockquote, figcaption, dd, dt');
-  let text = '';
+    clearTimeout(timer);
+    element.removeEventListener('input', scheduleInlineCheck);
+    element.removeEventListener('focusout', onEditableBlur);
+    ['keyup', 'mouseup', 'select'].forEach(type => element.removeEventListener(type, updateInlineDetail));
+    window.removeEventListener('scroll', positionInlineUi, true);
+    window.removeEventListener('resize', positionInlineUi);
+    if (observer) observer.disconnect();
+    if (overlay) overlay.remove();
+    clearRichHighlights();
+    if (inlinePanel) inlinePanel.remove();
+    inlinePanel = null;
+    inlineField = null;
+  }
+
+  function onEditableBlur(event) {
+    if (inlinePanel && inlinePanel.contains(event.relatedTarget)) return;
+    detachInlineField();
+  }
+
+  function scheduleInlineCheck() {
+    if (!inlineField) return;
+    clearTimeout(inlineField.timer);
+    inlineField.timer = setTimeout(runInlineCheck, INLINE_DELAY);
+  }
 
-  if (blocks.length > 0) {
-    const seen = new Set();
-    blocks.forEach(block => {
-      const blockText = block.textContent.trim();
-      if (blockText && !seen.has(blockText)) {
-        seen.add(blockText);
-        text += blockText + '\n\n';
+  // The audience chosen in the popup adjusts the thresholds (lib/audiences.js)
+  function watchInlineRules() {
+    const update = async () => {
+      const { audience } = await chrome.storage.local.get('audience');
+      inlineRules = Audiences.rules(await RuleSettings.load(), Audiences.get(audience));
+      if (!inlineRules.inlineChecks) {
+        detachInlineField();
+      } else if (inlineField) {
+        runInlineCheck();
+      } else if (document.activeElement) {
+        // The field whose focus had this script loaded (see content/loader.js)
+        onEditableFocus(document.activeElement);
+      }
+    };
+    update().catch(() => {});
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if ((area === 'sync' && changes[RULES_STORAGE_KEY]) || (area === 'local' && changes.audience)) {
+        update().catch(() => {});
       }
     });
   }
 
-  // Fallback: use innerText if block extraction yielded little
-  if (text.trim().length < 100) {
-    text = source.innerText || source.textContent || '';
+  // The field's own lang attribute, or the nearest one above it (the page's)
+  function fieldLang(element) {
+    return element.closest('[lang]')?.lang || '';
   }
 
-  // Clean up whitespace
-  text = text
-    .replace(/\t/g, ' ')
-    .replace(/ {2,}/g, ' ')
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
+  function runInlineCheck() {
+    const field = inlineField;
+    if (!field) return;
 
-  return text;
-}
+    // Block boundaries become line breaks so paragraphs without a final stop
+    // do not run into the next one
+    const index = field.isTextarea ? null : buildTextIndex(field.element, '\n');
+    field.index = index;
+    field.text = field.isTextarea ? field.element.value : index.text;
+
+    if (field.text.length > INLINE_MAX_CHARS) {
+      field.issues = [];
+      field.qualityScore = null;
+    } else {
+      const language = Languages.detect(field.text, fieldLang(field.element));
+      const rules = Languages.rules(inlineRules || DEFAULT_RULES, language);
+      const { issues, qualityScore } = inlineCoordinator.checkInline(field.text, rules);
+      field.issues = issues;
+      field.qualityScore = qualityScore;
+    }
+
+    if (field.isTextarea) {
+      renderTextareaOverlay(field);
+    } else {
+      renderRichHighlights(field);
+    }
+    renderInlinePanel(field);
+  }
+
+  // ----------------------------------------------------------------------------
+  // Underlines
+  // ----------------------------------------------------------------------------
+
+  function renderRichHighlights(field) {
+    if (!window.CSS || !CSS.highlights) return;
+    clearRichHighlights();
+
+    const ranges = { warning: [], style: [], grammar: [] };
+    field.issues.forEach(issue => {
+      collectSegments(field.index, issue.start, issue.end).forEach(({ node, start, end }) => {
+        const range = document.createRange();
+        range.setStart(node, start);
+        range.setEnd(node, end);
+        ranges[issue.kind].push(range);
+      });
+    });
+
+    Object.entries(ranges).forEach(([kind, kindRanges]) => {
+      if (kindRanges.length === 0) return;
+      const highlight = new Highlight(...kindRanges);
+      highlight.priority = INLINE_PRIORITY[kind];
+      CSS.highlights.set(`aclarador-inline-${kind}`, highlight);
+    });
+  }
+
+  function clearRichHighlights() {
+    if (!window.CSS || !CSS.highlights) return;
+    Object.keys(INLINE_PRIORITY).forEach(kind => CSS.highlights.delete(`aclarador-inline-${kind}`));
+  }
+
+  // A transparent copy of the textarea laid over it, with the same font,
+  // padding and scroll position, whose marks underline the text below
+  function renderTextareaOverlay(field) {
+    if (!field.overlay) {
+      field.overlay = document.createElement('div');
+      field.overlay.className = 'aclarador-inline-overlay';
+      field.overlay.setAttribute('aria-hidden', 'true');
+      document.documentElement.appendChild(field.overlay);
+    }
+
+    const overlay = field.overlay;
+    overlay.textContent = '';
+    inlineSegments(field.text, field.issues).forEach(({ text, kind }) => {
+      if (!kind) {
+        overlay.appendChild(document.createTextNode(text));
+        return;
+      }
+      const mark = document.createElement('mark');
+      mark.className = `aclarador-inline-mark aclarador-inline-${kind}`;
+      mark.textContent = text;
+      overlay.appendChild(mark);
+    });
+    // A trailing line break collapses unless something follows it
+    overlay.appendChild(document.createTextNode('\n'));
+
+    positionInlineUi();
+  }
+
+  // Splits the text at issue boundaries; each piece takes the kind of the
+  // highest-priority issue covering it
+  function inlineSegments(text, issues) {
+    const cuts = new Set([0, text.length]);
+    issues.forEach(issue => {
+      cuts.add(issue.start);
+      cuts.add(issue.end);
+    });
+    const points = [...cuts].sort((a, b) => a - b);
+
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const from = points[i];
+      const to = points[i + 1];
+      const kind = issues
+        .filter(issue => issue.start <= from && issue.end >= to)
+        .map(issue => issue.kind)
+        .sort((a, b) => INLINE_PRIORITY[b] - INLINE_PRIORITY[a])[0] || null;
+      segments.push({ text: text.slice(from, to), kind });
+    }
+    return segments;
+  }
+
+  function positionInlineUi() {
+    if (!inlineField) return;
+    const rect = inlineField.element.getBoundingClientRect();
+    if (inlineField.overlay) positionTextareaOverlay(inlineField, rect);
+    if (inlinePanel) positionInlinePanel(rect);
+  }
+
+  function positionTextareaOverlay(field, rect) {
+    const { element, overlay } = field;
+    const style = getComputedStyle(element);
+    INLINE_MIRRORED_STYLES.forEach(property => {
+      overlay.style[property] = style[property];
+    });
+
+    // The overlay has no scrollbar, so it gives the textarea's back as padding
+    // to wrap lines at the same width
+    const borders = parseFloat(style.borderLeftWidth) + parseFloat(style.borderRightWidth);
+    const scrollbar = Math.max(0, element.offsetWidth - element.clientWidth - borders);
+    overlay.style.paddingRight = `${parseFloat(style.paddingRight) + scrollbar}px`;
+
+    overlay.style.top = `${rect.top}px`;
+    overlay.style.left = `${rect.left}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+    overlay.scrollTop = element.scrollTop;
+    overlay.scrollLeft = element.scrollLeft;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Suggestion panel
+  // ----------------------------------------------------------------------------
+
+  function renderInlinePanel(field) {
+    if (!inlinePanel) {
+      inlinePanel = document.createElement('div');
+      inlinePanel.className = 'aclarador-inline-panel';
+
+      const status = document.createElement('div');
+      status.className = 'aclarador-inline-status';
+      const detail = document.createElement('div');
+      detail.className = 'aclarador-inline-detail';
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'aclarador-inline-rewrite';
+      button.textContent = I18n.t('inlineRewriteButton');
+      // Keep the focus (and the caret) in the field
+      button.addEventListener('mousedown', event => event.preventDefault());
+      button.addEventListener('click', rewriteInlineParagraph);
+
+      inlinePanel.append(status, detail, button);
+      // Outside <body>, which is the editable region itself in iframe editors
+      document.documentElement.appendChild(inlinePanel);
+    }
+
+    const count = field.issues.length;
+    let status;
+    if (field.qualityScore === null) {
+      status = I18n.t('inlineTooLong');
+    } else if (Tokenizer.wordCount(field.text) === 0) {
+      status = 'Aclarador';
+    } else {
+      const issues = count === 0 ? I18n.t('inlineNoIssues') : I18n.plural('inlineIssues', count);
+      status = I18n.t('inlineStatus', issues, Math.round(field.qualityScore * 100));
+    }
+    inlinePanel.querySelector('.aclarador-inline-status').textContent = status;
+
+    updateInlineDetail();
+    positionInlineUi();
+  }
 
-function extractPageMetadata() {
-  const title = document.title || '';
-  const metaDescription = document.querySelector('meta[name="description"]')?.content || '';
-  const metaKeywords = document.querySelector('meta[name="keywords"]')?.content || '';
-  const lang = document.documentElement.lang || '';
-  const url = window.location.href;
-  const h1 = document.querySelector('h1')?.textContent?.trim() || '';
+  // Explains the issues under the caret
+  function updateInlineDetail() {
+    if (!inlineField || !inlinePanel) return;
+    const detail = inlinePanel.querySelector('.aclarador-inline-detail');
+    const caret = inlineCaretOffset(inlineField);
 
-  return { title, metaDescription, metaKeywords, lang, url, h1 };
+    const lines = inlineField.issues
+      .filter(issue => caret >= issue.start && caret <= issue.end)
+      .sort((a, b) => INLINE_PRIORITY[b.kind] - INLINE_PRIORITY[a.kind])
+      .map(issue => `${issue.issue} — ${issue.recommendation}`);
+
+    detail.textContent = lines.join('\n');
+    detail.classList.remove('aclarador-inline-error');
+    detail.style.display = lines.length > 0 ? '' : 'none';
+  }
+
+  function showInlineMessage(message, isError = false) {
+    if (!inlinePanel) return;
+    const detail = inlinePanel.querySelector('.aclarador-inline-detail');
+    detail.textContent = message;
+    detail.classList.toggle('aclarador-inline-error', isError);
+    detail.style.display = '';
+  }
+
+  function positionInlinePanel(rect) {
+    // Below the field's right edge, kept inside the viewport
+    const top = Math.min(rect.bottom + 4, window.innerHeight - inlinePanel.offsetHeight - 4);
+    const left = Math.max(4, Math.min(rect.right, window.innerWidth - 4) - inlinePanel.offsetWidth);
+    inlinePanel.style.top = `${Math.max(4, top)}px`;
+    inlinePanel.style.left = `${left}px`;
+  }
+
+  // Caret position as an offset into field.text, or -1
+  function inlineCaretOffset(field) {
+    if (field.isTextarea) return field.element.selectionStart;
+
+    const selection = window.getSelection();
+    if (!field.index || !selection.rangeCount || !field.element.contains(selection.anchorNode)) return -1;
+
+    const { anchorNode, anchorOffset } = selection;
+    let after = -1;
+    for (let i = 0; i < field.index.positions.length; i++) {
+      const position = field.index.positions[i];
+      if (!position || position.node !== anchorNode) continue;
+      if (position.offset >= anchorOffset) return i;
+      after = i + 1;
+    }
+    return after;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Paragraph rewrite
+  // ----------------------------------------------------------------------------
+
+  async function rewriteInlineParagraph() {
+    const field = inlineField;
+    if (!field) return;
+
+    const target = field.isTextarea ? textareaParagraph(field.element) : richParagraph(field);
+    if (!target || Tokenizer.wordCount(target.text) < 5) {
+      showInlineMessage(I18n.t('inlineNoParagraph'), true);
+      return;
+    }
+
+    const button = inlinePanel.querySelector('.aclarador-inline-rewrite');
+    button.disabled = true;
+    button.textContent = I18n.t('inlineRewriting');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'rewriteParagraph',
+        text: target.text,
+        lang: fieldLang(field.element)
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || I18n.t('inlineRewriteFailed'));
+      }
+      if (!replaceInlineParagraph(field, target, response.rewrittenText)) {
+        throw new Error(I18n.t('inlineParagraphChanged'));
+      }
+    } catch (error) {
+      showInlineMessage(error.message, true);
+    } finally {
+      button.disabled = false;
+      button.textContent = I18n.t('inlineRewriteButton');
+    }
+  }
+
+  // The line around the caret, without surrounding whitespace
+  function textareaParagraph(textarea) {
+    const value = textarea.value;
+    const caret = textarea.selectionStart;
+    let start = caret > 0 ? value.lastIndexOf('\n', caret - 1) + 1 : 0;
+    let end = value.indexOf('\n', caret);
+    if (end === -1) end = value.length;
+
+    while (start < end && /\s/.test(value[start])) start++;
+    while (end > start && /\s/.test(value[end - 1])) end--;
+
+    return { start, end, text: value.slice(start, end) };
+  }
+
+  // The block element around the caret, inside the editor
+  function richParagraph(field) {
+    const selection = window.getSelection();
+    if (!selection.rangeCount || !field.element.contains(selection.anchorNode)) return null;
+
+    const anchor = selection.anchorNode;
+    let block = closestBlock(anchor.nodeType === Node.ELEMENT_NODE ? anchor : anchor.parentElement);
+    if (!field.element.contains(block)) block = field.element;
+
+    return { block, text: PageExtractor.cleanWhitespace(block.textContent) };
+  }
+
+  // Replaces the paragraph through the editing commands, so the change lands in
+  // the editor's undo history and its framework sees the input. Returns false
+  // when the paragraph no longer matches the text that was rewritten.
+  function replaceInlineParagraph(field, target, text) {
+    const { element } = field;
+    element.focus();
+
+    if (field.isTextarea) {
+      if (element.value.slice(target.start, target.end) !== target.text) return false;
+      element.setSelectionRange(target.start, target.end);
+    } else {
+      if (!target.block.isConnected || PageExtractor.cleanWhitespace(target.block.textContent) !== target.text) return false;
+      const range = document.createRange();
+      range.selectNodeContents(target.block);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    if (!document.execCommand('insertText', false, text)) {
+      if (field.isTextarea) {
+        element.setRangeText(text, target.start, target.end, 'end');
+      } else {
+        target.block.textContent = text;
+      }
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    return true;
+  }
+
+  function injectInlineStyles() {
+    if (document.getElementById('aclarador-inline-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'aclarador-inline-styles';
+    style.textContent = `
+      ::highlight(aclarador-inline-warning) { text-decoration: underline solid #ed8936; }
+      ::highlight(aclarador-inline-style) { text-decoration: underline wavy #4299e1; }
+      ::highlight(aclarador-inline-grammar) { text-decoration: underline wavy #e53e3e; }
+      .aclarador-inline-overlay {
+        position: fixed;
+        z-index: 2147483646;
+        margin: 0;
+        overflow: hidden;
+        border-style: solid;
+        border-color: transparent;
+        background: transparent;
+        color: transparent;
+        white-space: pre-wrap;
+        overflow-wrap: break-word;
+        pointer-events: none;
+      }
+      mark.aclarador-inline-mark { background: transparent; color: transparent; text-decoration-skip-ink: none; }
+      mark.aclarador-inline-warning { text-decoration: underline solid #ed8936; }
+      mark.aclarador-inline-style { text-decoration: underline wavy #4299e1; }
+      mark.aclarador-inline-grammar { text-decoration: underline wavy #e53e3e; }
+      .aclarador-inline-panel {
+        position: fixed;
+        z-index: 2147483647;
+        max-width: 320px;
+        padding: 6px 10px;
+        background: #000;
+        color: #fff;
+        font: 12px/1.4 Helvetica, Arial, sans-serif;
+        border-left: 3px solid #e10b17;
+      }
+      .aclarador-inline-detail { margin-top: 4px; white-space: pre-line; color: #e2e8f0; }
+      .aclarador-inline-detail.aclarador-inline-error { color: #feb2b2; }
+      .aclarador-inline-rewrite {
+        margin-top: 6px;
+        padding: 3px 8px;
+        background: #e10b17;
+        color: #fff;
+        border: none;
+        font: inherit;
+        cursor: pointer;
+      }
+      .aclarador-inline-rewrite:disabled { opacity: 0.6; cursor: wait; }
+    `;
+    (document.head || document.documentElement).appendChild(style);
+  }
 }
@@ -0,0 +1,31 @@
+// Light content script that runs in every page and frame. The agent libraries
+// and content.js are only loaded into a frame, by the background worker, the
+// first time one of its editable fields gets focus while the inline
+// suggestions are on.
+
+let inlineCheckerRequested = false;
+
+document.addEventListener('focusin', event => requestInlineChecker(event.target), true);
+if (document.activeElement) requestInlineChecker(document.activeElement);
+
+async function requestInlineChecker(target) {
+  if (inlineCheckerRequested || window.__aclaradorLoaded || !isEditableField(target)) return;
+  inlineCheckerRequested = true;
+
+  // RULES_STORAGE_KEY in lib/rules.js, which is not loaded yet; a missing
+  // value means the default (on)
+  const { ruleSettings } = await chrome.storage.sync.get('ruleSettings');
+  if (ruleSettings?.inlineChecks === false) {
+    // Asked again on the next focus, in case they are turned back on
+    inlineCheckerRequested = false;
+    return;
+  }
+  chrome.runtime.sendMessage({ action: 'loadInlineChecker' }).catch(() => {});
+}
+
+// Same fields as editableRoot() in content.js
+function isEditableField(target) {
+  if (!(target instanceof Element)) return false;
+  if (target.tagName === 'TEXTAREA') return !target.readOnly && !target.disabled;
+  return document.designMode === 'on' || target.isContentEditable;
+}
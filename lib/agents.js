@@ -1,11 +1,18 @@
 // ============================================================================
 // SYSTEM PROMPT (from aclarador-html)
 // ============================================================================
-const SYSTEM_PROMPT = `Eres un experto en lenguaje claro basado en el Manual de Estilo del Gobierno de Aragón.
+// The sentence limit follows the rule settings (lib/rules.js); the audience
+// (lib/audiences.js) adds its own instructions, and Lectura Fácil has a
+// prompt of its own (lib/easyread.js). Texts in other languages than Spanish
+// get a section that keeps the answer in their language (lib/languages.js).
+function buildSystemPrompt(rules = DEFAULT_RULES, audience = Audiences.get(DEFAULT_AUDIENCE)) {
+  if (audience.easyRead) return EasyRead.systemPrompt(rules) + Languages.prompt(rules.language);
+
+  return `Eres un experto en lenguaje claro basado en el Manual de Estilo del Gobierno de Aragón.
 
 PRINCIPIOS FUNDAMENTALES:
 1. Expresar UNA SOLA IDEA por oración
-2. Máximo 30 palabras por oración
+2. Máximo ${rules.maxSentenceWords} palabras por oración
 3. Usar voz activa
 4. Vocabulario común y preciso
 5. Puntuación estratégica
@@ -23,7 +30,92 @@ ADAPTACIÓN DIGITAL:
 - Formato escaneable
 - Optimización SEO
 
-Analiza el texto y proporciona mejoras específicas.`;
+PÚBLICO DESTINATARIO: ${audience.name}
+${audience.instructions.map(instruction => `- ${instruction}`).join('\n')}
+
+Analiza el texto y proporciona mejoras específicas.${Languages.prompt(rules.language)}`;
+}
+
+// Maximum characters sent to the rewriter in a single request. Long pages are
+// split into sections of this size so the prompt and the reply both stay well
+// inside the model's token budget (2000 output tokens by default).
+const DEFAULT_SECTION_CHARS = 3000;
+const MIN_SECTION_CHARS = 500;
+// The structured reply repeats the section and quotes every change, so each
+// output token covers about this many characters of the original
+const SECTION_CHARS_PER_OUTPUT_TOKEN = 1.5;
+
+// Section size for the requested size, capped to what a reply of maxTokens
+// can hold; a larger section comes back as truncated JSON
+function sectionCharsFor(requested = DEFAULT_SECTION_CHARS, maxTokens = DEFAULT_LLM_SETTINGS.maxTokens) {
+  const budget = Math.floor(maxTokens * SECTION_CHARS_PER_OUTPUT_TOKEN);
+  return Math.max(MIN_SECTION_CHARS, Math.min(requested, budget));
+}
+
+// ============================================================================
+// STRUCTURED REWRITE RESPONSE
+// ============================================================================
+
+// Principles the model may cite for each change
+const CLEAR_LANGUAGE_PRINCIPLES = {
+  una_idea: I18n.t('principleOneIdea'),
+  oraciones_cortas: I18n.t('principleShortSentences'),
+  voz_activa: I18n.t('principleActiveVoice'),
+  vocabulario: I18n.t('principleVocabulary'),
+  puntuacion: I18n.t('principlePunctuation'),
+  muletillas: I18n.t('principleFillers'),
+  redundancias: I18n.t('principleRedundancies'),
+  lenguaje_burocratico: I18n.t('principleBureaucratic'),
+  nominalizaciones: I18n.t('principleNominalizations'),
+  estructura: I18n.t('principleStructure'),
+  cifras: I18n.t('principleDigits'),
+  definiciones: I18n.t('principleDefinitions'),
+  otro: I18n.t('principleOther')
+};
+
+const REWRITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    rewrittenText: { type: 'string' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string' },
+          replacement: { type: 'string' },
+          principle: { type: 'string', enum: Object.keys(CLEAR_LANGUAGE_PRINCIPLES) },
+          justification: { type: 'string' }
+        },
+        required: ['original', 'replacement', 'principle', 'justification'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['rewrittenText', 'changes'],
+  additionalProperties: false
+};
+
+// Spelled out in the prompt too, for servers that only support plain JSON mode
+const REWRITE_FORMAT_INSTRUCTIONS = `FORMATO DE RESPUESTA:
+Responde únicamente con un objeto JSON, sin texto antes ni después:
+{
+  "rewrittenText": "texto completo reescrito",
+  "changes": [
+    {
+      "original": "fragmento copiado literalmente del texto original",
+      "replacement": "fragmento que lo sustituye (vacío si se elimina)",
+      "principle": "${Object.keys(CLEAR_LANGUAGE_PRINCIPLES).join(' | ')}",
+      "justification": "explicación breve del cambio"
+    }
+  ]
+}
+Incluye en "changes" cada cambio por separado.`;
+
+// Part of the rewrite cache key. Bump when buildSystemPrompt,
+// REWRITE_FORMAT_INSTRUCTIONS or _buildRewritePrompt change, so rewrites made
+// with the old prompt are not reused.
+const REWRITE_PROMPT_VERSION = 5;
 
 // ============================================================================
 // BASE AGENT CLASS
@@ -51,10 +143,11 @@ class AnalyzerAgent extends BaseAgent {
   }
 
   async analyze(text, context = {}) {
+    const rules = context.rules || DEFAULT_RULES;
     const classification = this._classifyText(text, context);
-    const issues = this._detectIssues(text);
+    const issues = this._detectIssues(text, rules);
     const recommendedAgents = this._recommendAgents(classification, issues);
-    const severity = this._assessSeverity(issues);
+    const severity = this._assessSeverity(issues, rules);
 
     return {
       agent: this.name,
@@ -70,7 +163,7 @@ class AnalyzerAgent extends BaseAgent {
   }
 
   _classifyText(text, context = {}) {
-    const wordCount = text.split(/\s+/).length;
+    const wordCount = Tokenizer.wordCount(text);
     if (wordCount < 100) return 'short';
     // Web pages always get web classification since we're analyzing browser content
     if (context.isWebPage) return 'web';
@@ -80,23 +173,27 @@ class AnalyzerAgent extends BaseAgent {
     return 'document';
   }
 
-  _detectIssues(text) {
+  _detectIssues(text, rules = DEFAULT_RULES) {
     const issues = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+    const sentences = RuleSettings.isCheckEnabled(rules, 'long_sentences') ? Tokenizer.sentences(text, rules.language) : [];
 
     sentences.forEach((sentence, idx) => {
-      const words = sentence.trim().split(/\s+/).length;
-      if (words > 30) {
+      const words = Tokenizer.wordCount(sentence.text);
+      if (words > rules.maxSentenceWords) {
         issues.push({
           type: 'sentence_length',
           sentence: idx + 1,
           words: words,
-          text: sentence.trim()
+          text: sentence.text,
+          start: sentence.start,
+          end: sentence.end
         });
       }
     });
 
-    const longWords = text.match(/\b\w{13,}\b/g) || [];
+    const longWords = RuleSettings.isCheckEnabled(rules, 'complex_vocabulary')
+      ? Tokenizer.longWords(text, rules.complexWordLength)
+      : [];
     if (longWords.length > 0) {
       issues.push({
         type: 'complex_vocabulary',
@@ -122,15 +219,15 @@ class AnalyzerAgent extends BaseAgent {
     return agents;
   }
 
-  _assessSeverity(issues) {
-    if (issues.length >= 3) return 'high';
-    if (issues.length >= 2) return 'medium';
+  _assessSeverity(issues, rules = DEFAULT_RULES) {
+    if (issues.length >= rules.severityHigh) return 'high';
+    if (issues.length >= rules.severityMedium) return 'medium';
     return 'low';
   }
 }
 
 // ============================================================================
-// REWRITER AGENT (uses Groq API)
+// REWRITER AGENT (uses an OpenAI-compatible LLM provider)
 // ============================================================================
 class RewriterAgent extends BaseAgent {
   constructor() {
@@ -138,46 +235,54 @@ class RewriterAgent extends BaseAgent {
   }
 
   async analyze(text, context = {}) {
-    const apiKey = context.apiKey;
-    if (!apiKey) {
-      throw new Error('API key requerida');
-    }
-
-    const issues = this._detectIssues(text);
-    const prompt = this._buildRewritePrompt(text, issues);
-
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'llama-3.3-70b-versatile',
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.3,
-        max_tokens: 2000
-      })
-    });
+    const provider = context.provider || new ChatCompletionProvider({ ...context.llm, apiKey: context.apiKey });
+    if (provider.requiresApiKey && !provider.apiKey) {
+      throw new LlmProviderError('missing_key', I18n.t('providerErrorMissingKey', provider.label));
+    }
 
-    if (!response.ok) {
-      const errorBody = await response.text().catch(() => '');
-      throw new Error(`API error: ${response.status} ${errorBody}`);
+    const rules = context.rules || DEFAULT_RULES;
+    const issues = this._detectIssues(text, rules);
+    const protectedTerms = Preservation.protectedTerms(text, context.protectedTerms);
+    const prompt = this._buildRewritePrompt(text, issues, {
+      lexiconMatches: context.lexiconMatches,
+      rules,
+      audience: context.audience,
+      protectedTerms
+    });
+    const systemPrompt = buildSystemPrompt(rules, context.audience);
+
+    // context.cache (see lib/cache.js) stores responses by a hash of
+    // everything that shapes them; context.forceRewrite skips the lookup
+    const cacheKey = context.cache
+      ? await context.cache.key({
+        promptVersion: REWRITE_PROMPT_VERSION,
+        ...provider.describe(),
+        temperature: provider.temperature,
+        maxTokens: provider.maxTokens,
+        systemPrompt,
+        prompt
+      })
+      : null;
+    const cached = cacheKey && !context.forceRewrite ? await context.cache.get(cacheKey) : null;
+    const response = cached || await this._requestRewrite(provider, text, { systemPrompt, prompt }, context);
+    if (cacheKey && !cached) {
+      await context.cache.set(cacheKey, response);
     }
 
-    const data = await response.json();
-    const rewrittenText = data.choices[0].message.content;
-    const improvements = this._identifyImprovements(text, rewrittenText);
+    const improvements = response.structured
+      ? response.changes.map(change => this._changeToImprovement(change))
+      : this._identifyImprovements(text, response.rewrittenText, rules);
 
     return {
       agent: this.name,
       originalText: text,
-      rewrittenText,
+      rewrittenText: response.rewrittenText,
+      changes: response.changes,
+      structured: response.structured,
       improvements,
-      issuesDetected: issues
+      issuesDetected: issues,
+      model: provider.describe(),
+      cached: Boolean(cached)
     };
   }
 
@@ -185,62 +290,219 @@ class RewriterAgent extends BaseAgent {
     return ['comprehensive_rewriting', 'clarity_enhancement', 'structure_improvement', 'plain_language_conversion'];
   }
 
-  _detectIssues(text) {
+  // Returns { rewrittenText, changes, structured }. With
+  // context.onPartialText the answer is streamed and the rewritten text is
+  // passed on as it is generated.
+  async _requestRewrite(provider, text, { systemPrompt, prompt }, context) {
+    const { signal, onPartialText } = context;
+    let shown = '';
+    const onText = onPartialText && (raw => {
+      const partial = this._partialRewrittenText(raw);
+      if (partial !== shown) {
+        shown = partial;
+        onPartialText(partial);
+      }
+    });
+
+    const raw = await provider.complete([
+      { role: 'system', content: `${systemPrompt}\n\n${REWRITE_FORMAT_INSTRUCTIONS}` },
+      { role: 'user', content: prompt }
+    ], { schema: REWRITE_SCHEMA, schemaName: 'rewrite', signal, onText });
+
+    let response = this._parseResponse(raw, text);
+    if (!response) {
+      // Malformed JSON: ask once more for plain text and describe the
+      // changes heuristically instead
+      const rewrittenText = await provider.complete([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ], { signal, onText: onPartialText });
+      response = { rewrittenText, changes: [], structured: false };
+    }
+    return response;
+  }
+
+  // The "rewrittenText" value of a JSON answer that is still being generated,
+  // decoded as far as it goes
+  _partialRewrittenText(raw) {
+    const start = /"rewrittenText"\s*:\s*"/.exec(raw);
+    if (!start) return '';
+
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    let text = '';
+    for (let i = start.index + start[0].length; i < raw.length; i++) {
+      const char = raw[i];
+      if (char === '"') break;
+      if (char !== '\\') {
+        text += char;
+        continue;
+      }
+      const next = raw[i + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = raw.slice(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        i += 5;
+      } else {
+        text += escapes[next] ?? next;
+        i++;
+      }
+    }
+    return text;
+  }
+
+  _detectIssues(text, rules = DEFAULT_RULES) {
     const issues = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+    const enabled = id => RuleSettings.isCheckEnabled(rules, id);
 
-    if (sentences.some(s => s.trim().split(/\s+/).length > 30)) {
+    if (enabled('long_sentences') &&
+      Tokenizer.sentences(text, rules.language).some(s => Tokenizer.wordCount(s.text) > rules.maxSentenceWords)) {
       issues.push('long_sentences');
     }
-    if (text.match(/\b(fue|fueron|ha sido|han sido)\b/gi)) {
+    if (enabled('passive_voice') && PassiveVoice.detect(text, rules.language).length > 0) {
       issues.push('passive_voice');
     }
-    if (text.match(/\b\w{13,}\b/)) {
+    if (enabled('complex_vocabulary') && Tokenizer.longWords(text, rules.complexWordLength).length > 0) {
       issues.push('complex_vocabulary');
     }
 
     return issues;
   }
 
-  _buildRewritePrompt(text, issues) {
-    let prompt = `Reescribe el siguiente texto aplicando principios de lenguaje claro.\n\n`;
+  _buildRewritePrompt(text, issues, { lexiconMatches = [], rules = DEFAULT_RULES, audience, protectedTerms = [] } = {}) {
+    let prompt = audience?.easyRead
+      ? `Adapta el siguiente texto a Lectura Fácil. Escribe cada oración en una línea.\n\n`
+      : `Reescribe el siguiente texto aplicando principios de lenguaje claro.\n\n`;
+    if (rules.language && rules.language !== DEFAULT_LANGUAGE) {
+      prompt += `- El texto no está en español: escribe el resultado en su idioma (${Languages.get(rules.language).name}).\n`;
+    }
 
     if (issues.includes('long_sentences')) {
-      prompt += `- Hay oraciones largas (>30 palabras). Divídelas.\n`;
+      prompt += `- Hay oraciones largas (>${rules.maxSentenceWords} palabras). Divídelas.\n`;
     }
     if (issues.includes('passive_voice')) {
-      prompt += `- Convierte voz pasiva a activa.\n`;
+      prompt += `- Convierte a voz activa estas oraciones en pasiva, indicando quién realiza la acción:\n`;
+      this._passiveSentences(text, rules.language).slice(0, 10).forEach(({ sentenceText, matches }) => {
+        prompt += `  · «${sentenceText}» (${matches.map(m => `«${m}»`).join(', ')})\n`;
+      });
     }
     if (issues.includes('complex_vocabulary')) {
       prompt += `- Simplifica vocabulario complejo.\n`;
     }
 
+    // Name the exact expressions the lexicon found, once each
+    const expressions = new Map();
+    lexiconMatches.forEach(m => expressions.set(m.text.toLowerCase(), m.suggestion));
+    if (expressions.size > 0) {
+      prompt += `- Sustituye o elimina estas expresiones:\n`;
+      [...expressions].slice(0, 15).forEach(([expression, suggestion]) => {
+        prompt += suggestion
+          ? `  · «${expression}» → «${suggestion}»\n`
+          : `  · «${expression}» → eliminar\n`;
+      });
+    }
+
+    // Legal citations and official names must survive word for word
+    if (protectedTerms.length > 0) {
+      prompt += `- No modifiques estos términos; cópialos literalmente:\n`;
+      protectedTerms.slice(0, 20).forEach(term => {
+        prompt += `  · «${term}»\n`;
+      });
+    }
+
     prompt += `\nTexto original:\n${text}`;
     return prompt;
   }
 
-  _identifyImprovements(original, rewritten) {
+  /**
+   * Validates a structured response against REWRITE_SCHEMA. Returns
+   * { rewrittenText, changes, structured: true }, or null when the reply is
+   * not usable JSON. Invalid change entries are dropped; unknown principles
+   * become 'otro'.
+   */
+  _parseResponse(raw, originalText) {
+    // Tolerate code fences or a sentence around the object
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start === -1 || end < start) return null;
+
+    let data;
+    try {
+      data = JSON.parse(raw.slice(start, end + 1));
+    } catch (e) {
+      return null;
+    }
+    if (!data || typeof data.rewrittenText !== 'string' || !data.rewrittenText.trim()) {
+      return null;
+    }
+
+    const changes = (Array.isArray(data.changes) ? data.changes : [])
+      .filter(change => change
+        && typeof change.original === 'string'
+        && typeof change.replacement === 'string'
+        && change.original.trim()
+        && change.original !== change.replacement)
+      .map(change => ({
+        original: change.original,
+        replacement: change.replacement,
+        principle: CLEAR_LANGUAGE_PRINCIPLES[change.principle] ? change.principle : 'otro',
+        justification: typeof change.justification === 'string' ? change.justification.trim() : '',
+        // False when the model paraphrased the fragment instead of quoting it
+        located: originalText.includes(change.original)
+      }));
+
+    return { rewrittenText: data.rewrittenText.trim(), changes, structured: true };
+  }
+
+  _changeToImprovement(change) {
+    return {
+      type: 'rewrite',
+      principle: change.principle,
+      change: change.replacement
+        ? I18n.t('rewriterChange', change.original, change.replacement)
+        : I18n.t('rewriterChangeRemoved', change.original),
+      reason: change.justification,
+      original: change.original,
+      replacement: change.replacement,
+      located: change.located
+    };
+  }
+
+  // Passive occurrences grouped by the sentence that contains them
+  _passiveSentences(text, language) {
+    const bySentence = new Map();
+    PassiveVoice.detect(text, language).forEach(passive => {
+      if (!bySentence.has(passive.sentence)) {
+        bySentence.set(passive.sentence, { sentenceText: passive.sentenceText, matches: [] });
+      }
+      bySentence.get(passive.sentence).matches.push(passive.text);
+    });
+    return [...bySentence.values()];
+  }
+
+  _identifyImprovements(original, rewritten, rules = DEFAULT_RULES) {
     const improvements = [];
 
-    const origSentences = original.split(/[.!?]+/).filter(s => s.trim());
-    const rewritSentences = rewritten.split(/[.!?]+/).filter(s => s.trim());
+    const origSentences = Tokenizer.sentences(original, rules.language);
+    const rewritSentences = Tokenizer.sentences(rewritten, rules.language);
 
     if (rewritSentences.length > origSentences.length) {
       improvements.push({
         type: 'structure',
-        change: 'Oraciones divididas para mayor claridad',
-        reason: 'Una idea por oración (máximo 30 palabras)'
+        change: I18n.t('rewriterSplitSentences'),
+        reason: I18n.t('rewriterSplitSentencesReason', rules.maxSentenceWords)
       });
     }
 
-    const origAvg = origSentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) / (origSentences.length || 1);
-    const rewAvg = rewritSentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) / (rewritSentences.length || 1);
+    const origAvg = Tokenizer.averageSentenceLength(original, rules.language);
+    const rewAvg = Tokenizer.averageSentenceLength(rewritten, rules.language);
 
     if (rewAvg < origAvg - 3) {
       improvements.push({
         type: 'sentence_length',
-        change: `Reducción promedio: ${origAvg.toFixed(1)} → ${rewAvg.toFixed(1)} palabras`,
-        reason: 'Mejor legibilidad con oraciones más cortas'
+        change: I18n.t('rewriterShorterSentences', origAvg.toFixed(1), rewAvg.toFixed(1)),
+        reason: I18n.t('rewriterShorterSentencesReason')
       });
     }
 
@@ -251,17 +513,153 @@ class RewriterAgent extends BaseAgent {
 // ============================================================================
 // GRAMMAR AGENT
 // ============================================================================
+// Rule-based checks. `fix` receives the regex match and returns the
+// replacement text, or null when the problem needs a human decision.
+// Rules are case-insensitive unless they set their own flags. `languages`
+// limits a rule to those codes (lib/languages.js); rules without it apply
+// to text in any language.
+const GRAMMAR_RULES = [
+  {
+    id: 'repeated_word',
+    label: I18n.t('grammarRepeatedWord'),
+    pattern: '(?<![\\p{L}\\p{N}])(\\p{L}+)\\s+\\1(?![\\p{L}\\p{N}])',
+    // Some doublings are correct ("that that", "had had", "casi casi")
+    fix: () => null,
+    recommendation: I18n.t('grammarRepeatedWordFix')
+  },
+  {
+    id: 'dequeismo',
+    languages: ['es'],
+    label: I18n.t('grammarDequeismo'),
+    pattern: '(?<![\\p{L}])((?:(?:me|te|se|nos|le|les) )?(?:pienso|piensa|piensan|pensamos|pensaba|pensaban|pensé|pensó|pensaron|creo|cree|creen|creemos|creía|creían|creí|creyó|creyeron|opino|opina|opinan|opinamos|opinaba|opinó|considero|considera|consideran|consideramos|consideró|digo|dice|dicen|decimos|dijo|dijeron|decía|supongo|supone|suponen|suponía|supuso|parece|parecía|pareció|afirma|afirman|afirmó|comunica|comunicó|indica|indican|indicó|manifiesta|manifestó|estima|estimó|es posible|es probable|es necesario|es evidente)) de que(?![\\p{L}])',
+    fix: m => `${m[1]} que`,
+    recommendation: I18n.t('grammarDequeismoFix')
+  },
+  {
+    id: 'queismo',
+    languages: ['es'],
+    label: I18n.t('grammarQueismo'),
+    pattern: '(?<![\\p{L}])(a pesar|en caso|a fin|con el fin|con el objeto|a condición|en vista|(?:me|te|se|nos) (?:di|diste|dio|dimos|dieron|doy|das|da|damos|dan) cuenta|(?:estoy|estás|está|estamos|están|estaba|estaban) (?:segur|convencid)[oa]s?|me alegro|nos alegramos|me alegré|me acuerdo|te acuerdas|nos acordamos|(?:me|te|se|nos) (?:olvidé|olvidó|olvidamos|olvidaron|enteré|enteró|enteramos|enteraron)) que(?![\\p{L}])',
+    fix: m => `${m[1]} de que`,
+    recommendation: I18n.t('grammarQueismoFix')
+  },
+  {
+    id: 'subject_comma',
+    languages: ['es'],
+    label: I18n.t('grammarSubjectComma'),
+    pattern: '(?<=^|[.!?]\\s+|\\n)((?:El|La|Los|Las|Este|Esta|Estos|Estas) (?!(?:lunes|martes|miércoles|jueves|viernes|sábado|domingo|día|semana|mes|año|pasado|próximo|último|resto)(?![\\p{L}]))[\\p{L} ]{1,60}?), ((?!es decir(?![\\p{L}]))(?:es|son|fue|fueron|será|serán|está|están|estará|estarán|debe|deben|deberá|deberán|tiene|tienen|tendrá|tendrán|puede|pueden|podrá|podrán|ha|han|había|habían|se)(?![\\p{L}]))',
+    flags: 'gu',
+    // The comma may open an incidental clause ("Los solicitantes, se recuerda, deben…")
+    fix: () => null,
+    recommendation: I18n.t('grammarSubjectCommaFix')
+  },
+  {
+    id: 'space_before_punctuation',
+    // French and others leave a space before some signs
+    languages: ['es', 'ca', 'an', 'en'],
+    label: I18n.t('grammarSpaceBeforePunctuation'),
+    // A space before a closing mark, or after an opening one: "( entre paréntesis )"
+    pattern: '([^\\s]+)[ \\t\\u00a0]+(?=[,.;:!?…)\\]»])|([(\\[«¿¡])[ \\t\\u00a0]+(?=[^\\s])',
+    flags: 'gu',
+    fix: m => m[1] || m[2],
+    recommendation: I18n.t('grammarSpaceBeforePunctuationFix')
+  },
+  {
+    id: 'double_space',
+    label: I18n.t('grammarDoubleSpace'),
+    pattern: '([^\\s]+) {2,}(?=[^\\s])',
+    flags: 'gu',
+    fix: m => `${m[1]} `,
+    recommendation: I18n.t('grammarDoubleSpaceFix')
+  },
+  {
+    id: 'laismo',
+    languages: ['es'],
+    label: I18n.t('grammarLaismo'),
+    pattern: '(?<![\\p{L}])(las?) ((?:dije|dijo|dijimos|dijeron|decía|pregunté|preguntó|preguntaron|conté|contó|contaron|expliqué|explicó|explicaron|pedí|pidió|pidieron|escribí|escribió|escribieron) que|(?:di|dio|dimos|dieron|doy|da|dan) las gracias)(?![\\p{L}])',
+    fix: m => `${matchCase(m[1], m[1].length > 2 ? 'les' : 'le')} ${m[2]}`,
+    recommendation: I18n.t('grammarLaismoFix')
+  },
+  {
+    id: 'leismo',
+    languages: ['es'],
+    label: I18n.t('grammarLeismo'),
+    pattern: '(?<![\\p{L}])(?:(a ellas? )(les?)|(les)) (vi|vio|vimos|vieron|conozco|conocí|conoció|conocen|saludé|saludó|saludaron|visité|visitó|visitaron|acompañé|acompañó|acompañaron|invité|invitó|invitaron)(?![\\p{L}])',
+    // The right pronoun depends on the gender of the referent
+    fix: () => null,
+    recommendation: I18n.t('grammarLeismoFix')
+  },
+  {
+    id: 'colon_capital',
+    languages: ['es'],
+    label: I18n.t('grammarColonCapital'),
+    pattern: '(?<=[^\\n:]{30}: )(El|La|Los|Las|Lo|Un|Una|Unos|Unas|En|De|Del|Por|Para|Con|Sin|Se|Es|Son|No|Si|Que|Hay|Su|Sus|Esto|Este|Esta|Estos|Estas|Todo|Todos|Toda|Todas|Cada)(?![\\p{L}])',
+    flags: 'gu',
+    // Proper names and letter salutations keep the capital
+    fix: () => null,
+    recommendation: I18n.t('grammarColonCapitalFix')
+  },
+  {
+    id: 'a_parte',
+    languages: ['es'],
+    label: I18n.t('grammarAParte'),
+    pattern: '(?<![\\p{L}])([Aa]) parte(?=\\s*[.,;:]|\\s+de\\s+(?:eso|esto|ello|que|lo|todo|ser|estar|tener|hacer)(?![\\p{L}]))',
+    flags: 'gu',
+    fix: m => `${m[1]}parte`,
+    recommendation: I18n.t('grammarAParteFix')
+  },
+  {
+    id: 'si_no_que',
+    languages: ['es'],
+    label: I18n.t('grammarSiNoQue'),
+    pattern: '(?<![\\p{L}])([Ss])i no que(?![\\p{L}])',
+    flags: 'gu',
+    fix: m => `${m[1]}ino que`,
+    recommendation: I18n.t('grammarSiNoQueFix')
+  },
+  {
+    id: 'sino_si_no',
+    languages: ['es'],
+    label: I18n.t('grammarSinoSiNo'),
+    pattern: '(?:(?<=^|[.!?]\\s+|\\n)(S)ino|(?<![\\p{L}])([Ss])ino(?= (?:lo|la|los|las|le|les|me|te|se|nos|os|hay|puedes|puede|pueden|quieres|quiere|quieren)(?![\\p{L}])))(?![\\p{L}])',
+    flags: 'gu',
+    // "No pagarás nada sino la tasa" is correct
+    fix: () => null,
+    recommendation: I18n.t('grammarSinoSiNoFix')
+  }
+];
+
+// Gives a replacement the initial capital of the text it replaces
+function matchCase(source, replacement) {
+  return /^\p{Lu}/u.test(source)
+    ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+    : replacement;
+}
+
+// Checked by GrammarAgent._findMissingOpeningMarks. Aragonese opens
+// questions and exclamations like Spanish; Catalan and English do not.
+const OPENING_MARKS = [
+  { id: 'missing_question_mark', label: I18n.t('grammarMissingQuestionMark'), open: '¿', close: '?', languages: ['es', 'an'] },
+  { id: 'missing_exclamation_mark', label: I18n.t('grammarMissingExclamationMark'), open: '¡', close: '!', languages: ['es', 'an'] }
+];
+
+// Whether a grammar rule or opening mark applies to text in a language
+function appliesToLanguage(rule, language = DEFAULT_LANGUAGE) {
+  return !rule.languages || rule.languages.includes(language);
+}
+
 class GrammarAgent extends BaseAgent {
   constructor() {
     super('Grammar');
   }
 
   async analyze(text, context = {}) {
-    const issues = this._findGrammarIssues(text);
+    const issues = this._findGrammarIssues(text, context.rules);
     return {
       agent: this.name,
       issues,
-      correctedText: text
+      correctedText: this._applyFixes(text, issues),
+      fixesApplied: issues.filter(issue => issue.replacement !== null).length
     };
   }
 
@@ -269,20 +667,95 @@ class GrammarAgent extends BaseAgent {
     return ['grammar_correction', 'punctuation_fixing', 'sentence_structure', 'agreement_checking'];
   }
 
-  _findGrammarIssues(text) {
+  /**
+   * Applies every available fix. Used for texts whose issues are not needed,
+   * such as the individual sections shown in the diff.
+   */
+  correct(text, rules = DEFAULT_RULES) {
+    return this._applyFixes(text, this._findGrammarIssues(text, rules));
+  }
+
+  // Rules turned off in the rule settings, or meant for another language, are skipped
+  _findGrammarIssues(text, rules = DEFAULT_RULES) {
     const issues = [];
+    const enabled = rule => RuleSettings.isCheckEnabled(rules, rule.id) && appliesToLanguage(rule, rules.language);
 
-    const repeatedWords = text.match(/\b(\w+)\s+\1\b/gi);
-    if (repeatedWords) {
-      issues.push({
-        type: 'grammar',
-        issue: 'Palabras repetidas',
-        examples: repeatedWords.slice(0, 3),
-        recommendation: 'Eliminar repeticiones innecesarias'
+    GRAMMAR_RULES.filter(enabled).forEach(rule => {
+      const regex = new RegExp(rule.pattern, rule.flags || 'giu');
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        this._pushIssue(issues, rule, match.index, match[0], rule.fix(match));
+      }
+    });
+
+    this._findMissingOpeningMarks(text, rules.language)
+      .filter(({ rule }) => enabled(rule))
+      .forEach(({ rule, start, text: found, replacement, shown }) => {
+        this._pushIssue(issues, rule, start, found, replacement, shown);
       });
-    }
 
-    return issues;
+    return issues.sort((a, b) => a.start - b.start);
+  }
+
+  _pushIssue(issues, rule, start, found, replacement, shown = found) {
+    const end = start + found.length;
+    // The first rule to claim a span wins; later overlapping matches are dropped
+    if (issues.some(issue => start < issue.end && end > issue.start)) return;
+
+    issues.push({
+      type: 'grammar',
+      rule: rule.id,
+      issue: I18n.t('issueQuoted', rule.label, shown.trim()),
+      recommendation: replacement !== null
+        ? I18n.t('issueFix', rule.recommendation, replacement.trim())
+        : rule.recommendation,
+      text: found,
+      start,
+      end,
+      replacement
+    });
+  }
+
+  // Questions and exclamations closed with ? or ! but never opened. The
+  // opening mark goes before the first word when the sentence has no commas;
+  // otherwise the question may start mid-sentence and is only reported.
+  // The issue spans the first word only, so fixes inside the sentence still apply.
+  _findMissingOpeningMarks(text, language = DEFAULT_LANGUAGE) {
+    const found = [];
+    const marks = OPENING_MARKS.filter(mark => appliesToLanguage(mark, language));
+    if (marks.length === 0) return found;
+
+    Tokenizer.sentences(text, language).forEach(sentence => {
+      marks.forEach(mark => {
+        if (!sentence.text.includes(mark.close) || sentence.text.includes(mark.open)) return;
+
+        const rule = {
+          id: mark.id,
+          label: mark.label,
+          languages: mark.languages,
+          recommendation: I18n.t('grammarOpeningMarkFix', Languages.get(language).label, mark.open, mark.close)
+        };
+        const lead = sentence.text.match(/^["'«“(—–-]*\s*/)[0];
+        const body = sentence.text.slice(lead.length);
+        const firstWord = body.match(/^\S+/)[0];
+        const replacement = /[,;:]/.test(body) ? null : `${mark.open}${firstWord}`;
+
+        found.push({ rule, start: sentence.start + lead.length, text: firstWord, replacement, shown: body });
+      });
+    });
+
+    return found;
+  }
+
+  _applyFixes(text, issues) {
+    let corrected = text;
+    issues
+      .filter(issue => issue.replacement !== null)
+      .sort((a, b) => b.start - a.start)
+      .forEach(issue => {
+        corrected = corrected.slice(0, issue.start) + issue.replacement + corrected.slice(issue.end);
+      });
+    return corrected;
   }
 }
 
@@ -295,13 +768,14 @@ class StyleAgent extends BaseAgent {
   }
 
   async analyze(text, context = {}) {
-    const issues = this._findStyleIssues(text);
-    const readability = this._calculateReadability(text);
+    const issues = this._findStyleIssues(text, context.rules);
+    const indices = Readability.analyze(text, context.rules?.language);
 
     return {
       agent: this.name,
       styleIssues: issues,
-      readabilityScore: readability
+      readabilityScore: this._calculateReadability(indices),
+      readabilityIndices: indices
     };
   }
 
@@ -309,40 +783,52 @@ class StyleAgent extends BaseAgent {
     return ['sentence_simplification', 'jargon_removal', 'flow_improvement', 'readability_enhancement'];
   }
 
-  _findStyleIssues(text) {
+  _findStyleIssues(text, rules = DEFAULT_RULES) {
     const issues = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+    const sentences = RuleSettings.isCheckEnabled(rules, 'long_sentences') ? Tokenizer.sentences(text, rules.language) : [];
 
     sentences.forEach((sentence, idx) => {
-      const words = sentence.trim().split(/\s+/).length;
-      if (words > 30) {
+      const words = Tokenizer.wordCount(sentence.text);
+      if (words > rules.maxSentenceWords) {
         issues.push({
           type: 'style',
-          issue: 'Oración demasiado larga',
+          issue: I18n.t('styleLongSentence'),
           sentence: idx + 1,
           words,
-          recommendation: 'Dividir en oraciones más cortas'
+          text: sentence.text,
+          start: sentence.start,
+          end: sentence.end,
+          recommendation: I18n.t('styleLongSentenceFix')
         });
       }
     });
 
-    if (text.match(/\b(fue|fueron|ha sido|han sido)\b/gi)) {
+    const passives = RuleSettings.isCheckEnabled(rules, 'passive_voice') ? PassiveVoice.detect(text, rules.language) : [];
+    passives.forEach(passive => {
       issues.push({
         type: 'style',
-        issue: 'Posible voz pasiva',
-        recommendation: 'Usar voz activa para mayor claridad'
+        issue: passive.kind === 'refleja'
+          ? I18n.t('styleReflexivePassive', passive.text)
+          : I18n.t('stylePassive', passive.text),
+        sentence: passive.sentence,
+        sentenceText: passive.sentenceText,
+        text: passive.text,
+        start: passive.start,
+        end: passive.end,
+        recommendation: passive.hasAgent
+          ? I18n.t('stylePassiveAgentFix')
+          : I18n.t('stylePassiveFix')
       });
-    }
+    });
 
     return issues;
   }
 
-  _calculateReadability(text) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
-    if (sentences.length === 0) return 0;
+  // The main index of the language (INFLESZ, or Flesch for English) as a 0-1 score
+  _calculateReadability(indices) {
+    if (!indices) return 0;
 
-    const avgLength = sentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) / sentences.length;
-    const score = Math.max(0, Math.min(1, 1 - (Math.abs(avgLength - 15) / 30)));
+    const score = Math.max(0, Math.min(1, indices[indices.primary].value / 100));
     return parseFloat(score.toFixed(2));
   }
 }
@@ -357,7 +843,7 @@ class SEOAgent extends BaseAgent {
 
   async analyze(text, context = {}) {
     const recommendations = this._analyzeSEOElements(text, context);
-    const balance = this._assessClarityBalance(text);
+    const balance = this._assessClarityBalance(text, context.rules);
 
     return {
       agent: this.name,
@@ -380,8 +866,8 @@ class SEOAgent extends BaseAgent {
         recommendations.push({
           type: 'seo',
           element: 'title',
-          recommendation: `Título demasiado largo (${metadata.title.length} caracteres). Máximo recomendado: 60.`,
-          reason: 'Los títulos largos se cortan en resultados de búsqueda'
+          recommendation: I18n.t('seoLongTitle', metadata.title.length),
+          reason: I18n.t('seoLongTitleReason')
         });
       }
     }
@@ -391,20 +877,23 @@ class SEOAgent extends BaseAgent {
       recommendations.push({
         type: 'seo',
         element: 'meta_description',
-        recommendation: 'Falta la meta descripción',
-        reason: 'La meta descripción mejora la visibilidad en buscadores'
+        recommendation: I18n.t('seoMissingDescription'),
+        reason: I18n.t('seoMissingDescriptionReason')
       });
     } else if (metadata.metaDescription.length > 160) {
       recommendations.push({
         type: 'seo',
         element: 'meta_description',
-        recommendation: `Meta descripción demasiado larga (${metadata.metaDescription.length} caracteres). Máximo: 160.`,
-        reason: 'Las descripciones largas se truncan en resultados'
+        recommendation: I18n.t('seoLongDescription', metadata.metaDescription.length),
+        reason: I18n.t('seoLongDescriptionReason')
       });
     }
 
     // Word frequency analysis
-    const words = text.toLowerCase().split(/\s+/).filter(w => w.length > 4);
+    const words = Tokenizer.words(text)
+      .filter(w => w.type === 'word')
+      .map(w => w.text.toLowerCase())
+      .filter(w => w.length > 4);
     const wordFreq = {};
     words.forEach(w => wordFreq[w] = (wordFreq[w] || 0) + 1);
 
@@ -416,20 +905,20 @@ class SEOAgent extends BaseAgent {
       recommendations.push({
         type: 'seo',
         element: 'keywords',
-        recommendation: `Palabras clave frecuentes: ${repeatedWords.slice(0, 5).join(', ')}`,
-        reason: 'Equilibrar densidad de palabras clave con variedad'
+        recommendation: I18n.t('seoKeywords', repeatedWords.slice(0, 5).join(', ')),
+        reason: I18n.t('seoKeywordsReason')
       });
     }
 
     return recommendations;
   }
 
-  _assessClarityBalance(text) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+  _assessClarityBalance(text, rules = DEFAULT_RULES) {
+    const sentences = Tokenizer.sentences(text, rules.language);
     if (sentences.length === 0) return { seoScore: 0, clarityScore: 0, balanceScore: 0 };
 
-    const avgLength = sentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) / sentences.length;
-    const clarityScore = Math.max(0, 1 - (avgLength - 15) / 30);
+    const avgLength = Tokenizer.averageSentenceLength(text, rules.language);
+    const clarityScore = Math.max(0, 1 - (avgLength - rules.optimalSentenceMin) / rules.maxSentenceWords);
 
     return {
       seoScore: 0.7,
@@ -448,15 +937,20 @@ class ValidatorAgent extends BaseAgent {
   }
 
   async analyze(text, context = {}) {
-    const validation = this._validateImprovements(text);
-    const qualityScore = this._calculateQualityScore(text);
-    const compliance = this._checkCompliance(text);
+    const validation = this._validateImprovements(text, context.rules);
+    const qualityScore = this._calculateQualityScore(text, context.rules);
+    const compliance = this._checkCompliance(text, context);
+    // Lectura Fácil checklist, only in that mode; its heuristics are Spanish
+    const easyRead = context.audience?.easyRead && (context.rules?.language || DEFAULT_LANGUAGE) === 'es'
+      ? EasyRead.check(text, context.rules)
+      : null;
 
     return {
       agent: this.name,
       validation,
       qualityScore,
-      compliance
+      compliance,
+      easyRead
     };
   }
 
@@ -464,22 +958,25 @@ class ValidatorAgent extends BaseAgent {
     return ['quality_assurance', 'compliance_verification', 'final_review', 'scoring'];
   }
 
-  _validateImprovements(text) {
+  _validateImprovements(text, rules = DEFAULT_RULES) {
     const validations = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+    const sentences = Tokenizer.sentences(text, rules.language);
 
     sentences.forEach((sentence, idx) => {
-      const words = sentence.trim().split(/\s+/).length;
-      if (words > 30) {
+      const words = Tokenizer.wordCount(sentence.text);
+      if (words > rules.maxSentenceWords) {
         validations.push({
           status: 'warning',
-          message: `Oración ${idx + 1} excede 30 palabras (${words})`,
-          recommendation: 'Considerar dividir la oración'
+          message: I18n.t('validatorLongSentence', idx + 1, rules.maxSentenceWords, words),
+          text: sentence.text,
+          start: sentence.start,
+          end: sentence.end,
+          recommendation: I18n.t('validatorLongSentenceFix')
         });
-      } else if (words >= 15 && words <= 25) {
+      } else if (words >= rules.optimalSentenceMin && words <= rules.optimalSentenceMax) {
         validations.push({
           status: 'success',
-          message: `Oración ${idx + 1} tiene longitud óptima (${words} palabras)`
+          message: I18n.t('validatorOptimalSentence', idx + 1, words)
         });
       }
     });
@@ -487,15 +984,15 @@ class ValidatorAgent extends BaseAgent {
     return validations;
   }
 
-  _calculateQualityScore(text) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+  _calculateQualityScore(text, rules = DEFAULT_RULES) {
+    const sentences = Tokenizer.sentences(text, rules.language);
     if (sentences.length === 0) return 0;
 
     let score = 0;
     sentences.forEach(sentence => {
-      const words = sentence.trim().split(/\s+/).length;
-      if (words >= 10 && words <= 30) {
-        score += (words >= 15 && words <= 25) ? 1 : 0.7;
+      const words = Tokenizer.wordCount(sentence.text);
+      if (words >= rules.minSentenceWords && words <= rules.maxSentenceWords) {
+        score += (words >= rules.optimalSentenceMin && words <= rules.optimalSentenceMax) ? 1 : 0.7;
       } else {
         score += 0.3;
       }
@@ -504,38 +1001,658 @@ class ValidatorAgent extends BaseAgent {
     return parseFloat((score / sentences.length).toFixed(2));
   }
 
-  _checkCompliance(text) {
+  _checkCompliance(text, context = {}) {
+    const rules = context.rules || DEFAULT_RULES;
     const checks = [];
+    const sentences = Tokenizer.sentences(text, rules.language);
 
     checks.push({
-      criterion: 'Oraciones completas',
-      passed: text.split(/[.!?]+/).filter(s => s.trim()).length > 0
+      criterion: I18n.t('complianceCompleteSentences'),
+      passed: sentences.length > 0
     });
 
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
-    const avgLength = sentences.length > 0
-      ? sentences.reduce((sum, s) => sum + s.split(/\s+/).length, 0) / sentences.length
-      : 0;
+    const avgLength = Tokenizer.averageSentenceLength(text, rules.language);
 
     checks.push({
-      criterion: 'Longitud promedio adecuada',
-      passed: avgLength <= 30
+      criterion: I18n.t('complianceAverageLength'),
+      passed: avgLength <= rules.maxSentenceWords
     });
 
     checks.push({
-      criterion: 'Puntuación apropiada',
+      criterion: I18n.t('compliancePunctuation'),
       passed: text.includes('.') || text.includes('!') || text.includes('?')
     });
 
     checks.push({
-      criterion: 'Contenido no vacío',
+      criterion: I18n.t('complianceNotEmpty'),
       passed: text.trim().length > 0
     });
 
+    if (context.preservation) {
+      checks.push({
+        criterion: I18n.t('compliancePreserved'),
+        passed: context.preservation.preserved
+      });
+    }
+
     return checks;
   }
 }
 
+// ============================================================================
+// LEXICON AGENT
+// ============================================================================
+
+// Categories of the expressions the lexicon looks for
+const LEXICON_CATEGORIES = {
+  burocratico: I18n.t('lexiconBureaucratic'),
+  nominalizacion: I18n.t('lexiconNominalization'),
+  muletilla: I18n.t('lexiconFiller'),
+  redundancia: I18n.t('lexiconRedundancy'),
+  personalizado: I18n.t('lexiconCustom')
+};
+
+// Built-in dictionary. `pattern` (a regular expression source) covers
+// inflected forms; otherwise the expression is matched literally.
+// An empty replacement means the expression can simply be removed.
+const DEFAULT_LEXICON = [
+  // Bureaucratic language
+  { expression: 'llevar a cabo', pattern: 'llev\\p{L}* a cabo', replacement: 'hacer', category: 'burocratico' },
+  { expression: 'proceder a la realización de', pattern: 'proced(?:er|e|en|emos|ió|ieron|erá|erán|ería|erían|a|an|iendo) a la realización de', replacement: 'hacer', category: 'burocratico' },
+  { expression: 'proceder a', pattern: 'proced(?:er|e|en|emos|ió|ieron|erá|erán|ería|erían|a|an|iendo) a', replacement: '', category: 'burocratico' },
+  { expression: 'efectuar', pattern: 'efectu\\p{L}*', replacement: 'hacer', category: 'burocratico' },
+  { expression: 'en el día de hoy', replacement: 'hoy', category: 'burocratico' },
+  { expression: 'a día de hoy', replacement: 'hoy', category: 'burocratico' },
+  { expression: 'en el momento actual', replacement: 'ahora', category: 'burocratico' },
+  { expression: 'en la actualidad', replacement: 'ahora', category: 'burocratico' },
+  { expression: 'con el fin de', replacement: 'para', category: 'burocratico' },
+  { expression: 'con el objeto de', replacement: 'para', category: 'burocratico' },
+  { expression: 'al objeto de', replacement: 'para', category: 'burocratico' },
+  { expression: 'a fin de', replacement: 'para', category: 'burocratico' },
+  { expression: 'a los efectos de', replacement: 'para', category: 'burocratico' },
+  { expression: 'de cara a', replacement: 'para', category: 'burocratico' },
+  { expression: 'en base a', replacement: 'según', category: 'burocratico' },
+  { expression: 'a nivel de', replacement: 'en', category: 'burocratico' },
+  { expression: 'por medio de', replacement: 'con', category: 'burocratico' },
+  { expression: 'en relación con', replacement: 'sobre', category: 'burocratico' },
+  { expression: 'en relación a', replacement: 'sobre', category: 'burocratico' },
+  { expression: 'con relación a', replacement: 'sobre', category: 'burocratico' },
+  { expression: 'en lo que respecta a', replacement: 'sobre', category: 'burocratico' },
+  { expression: 'en lo relativo a', replacement: 'sobre', category: 'burocratico' },
+  { expression: 'en lo referente a', replacement: 'sobre', category: 'burocratico' },
+  { expression: 'en el supuesto de que', replacement: 'si', category: 'burocratico' },
+  { expression: 'en el caso de que', replacement: 'si', category: 'burocratico' },
+  { expression: 'debido al hecho de que', replacement: 'porque', category: 'burocratico' },
+  { expression: 'con carácter previo', replacement: 'antes', category: 'burocratico' },
+  { expression: 'con anterioridad a', replacement: 'antes de', category: 'burocratico' },
+  { expression: 'con posterioridad a', replacement: 'después de', category: 'burocratico' },
+  { expression: 'la totalidad de', replacement: 'todos', category: 'burocratico' },
+  { expression: 'un gran número de', replacement: 'muchos', category: 'burocratico' },
+  { expression: 'adjunto le remito', replacement: 'le envío', category: 'burocratico' },
+  { expression: 'tener lugar', pattern: '(?:tener|tiene|tienen|tendrá|tendrán|tuvo|tuvieron) lugar', replacement: 'celebrarse', category: 'burocratico' },
+  { expression: 'poner en conocimiento de', pattern: 'pon\\p{L}* en (?:su )?conocimiento(?: de)?', replacement: 'informar a', category: 'burocratico' },
+
+  // Nominalizations: noun + support verb instead of the verb itself
+  { expression: 'realizar la solicitud', pattern: 'realiz\\p{L}* (?:la|una) solicitud', replacement: 'solicitar', category: 'nominalizacion' },
+  { expression: 'efectuar el pago', pattern: 'efectu\\p{L}* el pago', replacement: 'pagar', category: 'nominalizacion' },
+  { expression: 'realizar una revisión', pattern: 'realiz\\p{L}* (?:la|una) revisión', replacement: 'revisar', category: 'nominalizacion' },
+  { expression: 'realizar la inscripción', pattern: 'realiz\\p{L}* (?:la|su) inscripción', replacement: 'inscribirse', category: 'nominalizacion' },
+  { expression: 'proceder a la firma', pattern: 'proced(?:er|e|en|emos|ió|ieron|erá|erán|ería|erían|a|an|iendo) a la firma', replacement: 'firmar', category: 'nominalizacion' },
+  { expression: 'hacer uso de', pattern: '(?:hacer|hace|hacen|hará|harán|hizo|hicieron) uso de', replacement: 'usar', category: 'nominalizacion' },
+  { expression: 'hacer entrega de', pattern: '(?:hacer|hace|hacen|hará|harán|hizo|hicieron) entrega de', replacement: 'entregar', category: 'nominalizacion' },
+  { expression: 'hacer mención de', pattern: '(?:hacer|hace|hacen|hará|harán|hizo|hicieron) mención (?:de|a)', replacement: 'mencionar', category: 'nominalizacion' },
+  { expression: 'dar cumplimiento a', pattern: '(?:dar|da|dan|dará|darán|dio|dieron) cumplimiento a', replacement: 'cumplir', category: 'nominalizacion' },
+  { expression: 'dar respuesta a', pattern: '(?:dar|da|dan|dará|darán|dio|dieron) respuesta a', replacement: 'responder', category: 'nominalizacion' },
+  { expression: 'dar comienzo', pattern: '(?:dar|da|dan|dará|darán|dio|dieron) comienzo', replacement: 'empezar', category: 'nominalizacion' },
+  { expression: 'tomar en consideración', pattern: 'tom\\p{L}* en consideración', replacement: 'considerar', category: 'nominalizacion' },
+
+  // Filler words and phrases
+  { expression: 'es decir', replacement: '', category: 'muletilla' },
+  { expression: 'o sea', replacement: '', category: 'muletilla' },
+  { expression: 'en definitiva', replacement: '', category: 'muletilla' },
+  { expression: 'básicamente', replacement: '', category: 'muletilla' },
+  { expression: 'de alguna manera', replacement: '', category: 'muletilla' },
+  { expression: 'en este sentido', replacement: '', category: 'muletilla' },
+  { expression: 'cabe destacar que', replacement: '', category: 'muletilla' },
+  { expression: 'cabe señalar que', replacement: '', category: 'muletilla' },
+  { expression: 'hay que tener en cuenta que', replacement: '', category: 'muletilla' },
+
+  // Redundancies
+  { expression: 'plazo de tiempo', replacement: 'plazo', category: 'redundancia' },
+  { expression: 'lapso de tiempo', replacement: 'lapso', category: 'redundancia' },
+  { expression: 'volver a repetir', pattern: 'vuelv\\p{L}* a repetir|volver a repetir', replacement: 'repetir', category: 'redundancia' },
+  { expression: 'totalmente gratuito', pattern: 'totalmente gratuit[oa]s?', replacement: 'gratuito', category: 'redundancia' },
+  { expression: 'requisito previo', pattern: 'requisitos? previos?', replacement: 'requisito', category: 'redundancia' },
+  { expression: 'prever de antemano', pattern: 'prev\\p{L}* de antemano', replacement: 'prever', category: 'redundancia' },
+  { expression: 'erario público', replacement: 'erario', category: 'redundancia' },
+  { expression: 'hecho real', replacement: 'hecho', category: 'redundancia' },
+  { expression: 'mutuo acuerdo de ambas partes', replacement: 'mutuo acuerdo', category: 'redundancia' }
+];
+
+const CATALAN_LEXICON = [
+  // Bureaucratic language
+  { expression: 'dur a terme', pattern: 'du\\p{L}* a terme', replacement: 'fer', category: 'burocratico' },
+  { expression: 'procedir a', pattern: 'proced(?:ir|eix|eixen|im|ia|ien|irà|iran|ir) a', replacement: '', category: 'burocratico' },
+  { expression: 'efectuar', pattern: 'efectu\\p{L}*', replacement: 'fer', category: 'burocratico' },
+  { expression: 'amb la finalitat de', replacement: 'per', category: 'burocratico' },
+  { expression: 'amb l\'objectiu de', pattern: 'amb l[\'’]objectiu de', replacement: 'per', category: 'burocratico' },
+  { expression: 'a fi de', replacement: 'per', category: 'burocratico' },
+  { expression: 'a l\'efecte de', pattern: 'a l[\'’]efecte de', replacement: 'per', category: 'burocratico' },
+  { expression: 'per mitjà de', replacement: 'amb', category: 'burocratico' },
+  { expression: 'en relació amb', replacement: 'sobre', category: 'burocratico' },
+  { expression: 'pel que fa a', replacement: 'sobre', category: 'burocratico' },
+  { expression: 'en el cas que', replacement: 'si', category: 'burocratico' },
+  { expression: 'en el supòsit que', replacement: 'si', category: 'burocratico' },
+  { expression: 'amb caràcter previ', replacement: 'abans', category: 'burocratico' },
+  { expression: 'amb anterioritat a', replacement: 'abans de', category: 'burocratico' },
+  { expression: 'amb posterioritat a', replacement: 'després de', category: 'burocratico' },
+  { expression: 'la totalitat de', replacement: 'tots', category: 'burocratico' },
+  { expression: 'a nivell de', replacement: 'en', category: 'burocratico' },
+  { expression: 'en base a', replacement: 'segons', category: 'burocratico' },
+  { expression: 'en l\'actualitat', pattern: 'en l[\'’]actualitat', replacement: 'ara', category: 'burocratico' },
+
+  // Nominalizations
+  { expression: 'fer ús de', pattern: '(?:fer|fa|fan|farà|faran|feia|feien) ús de', replacement: 'utilitzar', category: 'nominalizacion' },
+  { expression: 'fer entrega de', pattern: '(?:fer|fa|fan|farà|faran) (?:l[\'’])?entrega de', replacement: 'lliurar', category: 'nominalizacion' },
+  { expression: 'donar compliment a', pattern: 'don\\p{L}* compliment a', replacement: 'complir', category: 'nominalizacion' },
+  { expression: 'donar resposta a', pattern: 'don\\p{L}* resposta a', replacement: 'respondre', category: 'nominalizacion' },
+  { expression: 'realitzar la sol·licitud', pattern: 'realitz\\p{L}* (?:la|una) sol·licitud', replacement: 'sol·licitar', category: 'nominalizacion' },
+  { expression: 'efectuar el pagament', pattern: 'efectu\\p{L}* el pagament', replacement: 'pagar', category: 'nominalizacion' },
+
+  // Filler words and phrases
+  { expression: 'és a dir', replacement: '', category: 'muletilla' },
+  { expression: 'en aquest sentit', replacement: '', category: 'muletilla' },
+  { expression: 'cal destacar que', replacement: '', category: 'muletilla' },
+  { expression: 'cal tenir en compte que', replacement: '', category: 'muletilla' },
+
+  // Redundancies
+  { expression: 'termini de temps', replacement: 'termini', category: 'redundancia' },
+  { expression: 'tornar a repetir', pattern: 'torn\\p{L}* a repetir', replacement: 'repetir', category: 'redundancia' },
+  { expression: 'totalment gratuït', pattern: 'totalment gratuït(?:a|s|es)?', replacement: 'gratuït', category: 'redundancia' },
+  { expression: 'requisit previ', pattern: 'requisits? previs?', replacement: 'requisit', category: 'redundancia' }
+];
+
+const ENGLISH_LEXICON = [
+  // Bureaucratic language
+  { expression: 'in order to', replacement: 'to', category: 'burocratico' },
+  { expression: 'with a view to', replacement: 'to', category: 'burocratico' },
+  { expression: 'for the purpose of', replacement: 'to', category: 'burocratico' },
+  { expression: 'prior to', replacement: 'before', category: 'burocratico' },
+  { expression: 'subsequent to', replacement: 'after', category: 'burocratico' },
+  { expression: 'in accordance with', replacement: 'under', category: 'burocratico' },
+  { expression: 'pursuant to', replacement: 'under', category: 'burocratico' },
+  { expression: 'in relation to', replacement: 'about', category: 'burocratico' },
+  { expression: 'with regard to', replacement: 'about', category: 'burocratico' },
+  { expression: 'in respect of', replacement: 'about', category: 'burocratico' },
+  { expression: 'in the event that', replacement: 'if', category: 'burocratico' },
+  { expression: 'due to the fact that', replacement: 'because', category: 'burocratico' },
+  { expression: 'at this point in time', replacement: 'now', category: 'burocratico' },
+  { expression: 'at the present time', replacement: 'now', category: 'burocratico' },
+  { expression: 'a large number of', replacement: 'many', category: 'burocratico' },
+  { expression: 'notwithstanding', replacement: 'despite', category: 'burocratico' },
+  { expression: 'commence', pattern: 'commenc\\p{L}*', replacement: 'start', category: 'burocratico' },
+  { expression: 'utilise', pattern: 'utili[sz]\\p{L}*', replacement: 'use', category: 'burocratico' },
+
+  // Nominalizations
+  { expression: 'make an application', pattern: '(?:make|makes|made|making) an application', replacement: 'apply', category: 'nominalizacion' },
+  { expression: 'make a payment', pattern: '(?:make|makes|made|making) (?:a|the) payment', replacement: 'pay', category: 'nominalizacion' },
+  { expression: 'make a decision', pattern: '(?:make|makes|made|making) a decision', replacement: 'decide', category: 'nominalizacion' },
+  { expression: 'carry out a review', pattern: 'carr\\p{L}* out a review', replacement: 'review', category: 'nominalizacion' },
+  { expression: 'give consideration to', pattern: '(?:give|gives|gave|given|giving) consideration to', replacement: 'consider', category: 'nominalizacion' },
+  { expression: 'provide assistance', pattern: 'provid\\p{L}* assistance', replacement: 'help', category: 'nominalizacion' },
+  { expression: 'take into consideration', pattern: '(?:take|takes|took|taken|taking) into consideration', replacement: 'consider', category: 'nominalizacion' },
+
+  // Filler words and phrases
+  { expression: 'it should be noted that', replacement: '', category: 'muletilla' },
+  { expression: 'it is important to note that', replacement: '', category: 'muletilla' },
+  { expression: 'basically', replacement: '', category: 'muletilla' },
+  { expression: 'in other words', replacement: '', category: 'muletilla' },
+
+  // Redundancies
+  { expression: 'period of time', replacement: 'period', category: 'redundancia' },
+  { expression: 'advance planning', replacement: 'planning', category: 'redundancia' },
+  { expression: 'completely free', replacement: 'free', category: 'redundancia' },
+  { expression: 'end result', replacement: 'result', category: 'redundancia' },
+  { expression: 'past history', replacement: 'history', category: 'redundancia' },
+  { expression: 'each and every', replacement: 'each', category: 'redundancia' }
+];
+
+// Built-in dictionary of each language. Languages without one (Aragonese,
+// unsupported languages) are only checked against the user's dictionary.
+const LEXICONS = {
+  es: DEFAULT_LEXICON,
+  ca: CATALAN_LEXICON,
+  en: ENGLISH_LEXICON
+};
+
+class LexiconAgent extends BaseAgent {
+  constructor() {
+    super('Lexicon');
+  }
+
+  async analyze(text, context = {}) {
+    const matches = this._findMatches(text, context.customLexicon, context.rules?.language);
+
+    const summary = {};
+    matches.forEach(match => {
+      summary[match.category] = (summary[match.category] || 0) + 1;
+    });
+
+    return {
+      agent: this.name,
+      issues: matches,
+      summary
+    };
+  }
+
+  getCapabilities() {
+    return ['bureaucratic_language_detection', 'filler_detection', 'redundancy_detection', 'substitution_suggestions'];
+  }
+
+  _findMatches(text, customLexicon = [], language = DEFAULT_LANGUAGE) {
+    const entries = [...customLexicon.map(e => ({ category: 'personalizado', ...e })), ...(LEXICONS[language] || [])]
+      // Longer expressions first so "proceder a la realización de" wins over "proceder a"
+      .sort((a, b) => b.expression.length - a.expression.length);
+
+    const matches = [];
+    entries.forEach(entry => {
+      const regex = this._compile(entry);
+      if (!regex) return;
+
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (match[0].length === 0) {
+          regex.lastIndex++;
+          continue;
+        }
+        if (matches.some(m => start < m.end && end > m.start)) continue;
+
+        const suggestion = entry.replacement || '';
+        matches.push({
+          type: 'lexicon',
+          category: entry.category,
+          issue: I18n.t('issueQuoted', LEXICON_CATEGORIES[entry.category] || entry.category, match[0]),
+          recommendation: suggestion ? I18n.t('lexiconReplace', suggestion) : I18n.t('lexiconRemove'),
+          text: match[0],
+          expression: entry.expression,
+          suggestion,
+          start,
+          end
+        });
+      }
+    });
+
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  _compile(entry) {
+    const source = entry.pattern
+      || entry.expression.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    if (!source) return null;
+
+    try {
+      return new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`, 'giu');
+    } catch (e) {
+      // Invalid user pattern: skip it instead of failing the whole analysis
+      return null;
+    }
+  }
+}
+
+// ============================================================================
+// PRESERVATION AGENT
+// Checks that the facts of the original (numbers, dates, amounts, deadlines,
+// legal references, e-mails, URLs and proper names) survive the rewrite.
+// ============================================================================
+
+const PRESERVATION_CATEGORIES = {
+  legal: I18n.t('preservationLegal'),
+  date: I18n.t('preservationDate'),
+  amount: I18n.t('preservationAmount'),
+  period: I18n.t('preservationPeriod'),
+  number: I18n.t('preservationNumber'),
+  email: I18n.t('preservationEmail'),
+  url: I18n.t('preservationUrl'),
+  name: I18n.t('preservationName'),
+  protected: I18n.t('preservationProtected')
+};
+
+const SPANISH_MONTHS = [
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+  'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'
+];
+
+// Numbers written as words, so "diez días" in a rewrite still matches "10 días"
+const NUMBER_WORDS = {
+  un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8,
+  nueve: 9, diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciséis: 16,
+  diecisiete: 17, dieciocho: 18, diecinueve: 19, veinte: 20, treinta: 30, cuarenta: 40,
+  cincuenta: 50, sesenta: 60, noventa: 90, cien: 100, mil: 1000
+};
+
+const UNIT_SINGULARS = {
+  días: 'día', semanas: 'semana', meses: 'mes', años: 'año', horas: 'hora', minutos: 'minuto',
+  céntimos: 'céntimo', hábiles: 'hábil', naturales: 'natural'
+};
+
+// Words that join the parts of a proper name ("Gobierno de Aragón") and
+// articles and prepositions capitalized only because they open a sentence
+const NAME_WORDS = {
+  es: { connectors: ['de', 'del', 'la', 'las', 'los'], openers: ['el', 'la', 'los', 'las', 'un', 'una', 'en', 'de', 'del', 'por', 'para', 'con', 'según', 'este', 'esta'] },
+  an: { connectors: ['de', 'd\'o', 'd\'a', 'd\'os', 'd\'as', 'o', 'a', 'os', 'as'], openers: ['o', 'a', 'os', 'as', 'un', 'una', 'en', 'de', 'por', 'ta', 'pa', 'con', 'iste', 'ista'] },
+  ca: { connectors: ['de', 'del', 'dels', 'la', 'les', 'els'], openers: ['el', 'la', 'els', 'les', 'un', 'una', 'en', 'de', 'del', 'per', 'amb', 'segons', 'aquest', 'aquesta'] },
+  en: { connectors: ['of', 'the', 'for', 'and'], openers: ['the', 'a', 'an', 'in', 'of', 'for', 'with', 'by', 'under', 'this', 'these', 'our', 'your'] }
+};
+
+const NUMBER_SOURCE = `\\d+(?:[.,]\\d+)*|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+// Checked in this order; each fragment of text belongs to the first match
+const FACT_PATTERNS = [
+  {
+    category: 'legal',
+    pattern: '(art(?:ículo)?s?\\.?|apartados?|leyes|ley(?: orgánica)?|real decreto(?:-ley| legislativo)?|decreto(?:-ley| legislativo)?|orden|reglamento|directiva|disposici[oó]n (?:adicional|transitoria|final|derogatoria))\\s+(?:\\(\\p{L}+\\)\\s*)?(?:n\\.?º\\s*)?(\\d+(?:[./-]\\d+)*(?:\\s*(?:bis|ter))?|[IVXLC]+(?![\\p{L}])|primera|segunda|tercera|cuarta|quinta|sexta|séptima|octava|novena|décima|única)',
+    key: m => `${Preservation.legalKind(m[1])} ${m[2].toLowerCase().replace(/\s+/g, '')}`
+  },
+  {
+    category: 'date',
+    pattern: `(\\d{1,2}) de (${SPANISH_MONTHS.join('|')})(?: de(?:l)? (\\d{4}))?`,
+    key: m => Preservation.dateKey(m[1], SPANISH_MONTHS.indexOf(m[2].toLowerCase()) + 1, m[3])
+  },
+  {
+    category: 'date',
+    pattern: '(\\d{4})-(\\d{1,2})-(\\d{1,2})',
+    key: m => Preservation.dateKey(m[3], m[2], m[1])
+  },
+  {
+    category: 'date',
+    pattern: '(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{4}|\\d{2})(?![\\d])',
+    key: m => Preservation.dateKey(m[1], m[2], m[3])
+  },
+  {
+    category: 'date',
+    pattern: `(${SPANISH_MONTHS.join('|')}) de(?:l)? (\\d{4})`,
+    key: m => `${SPANISH_MONTHS.indexOf(m[1].toLowerCase()) + 1}/${m[2]}`
+  },
+  {
+    category: 'amount',
+    pattern: `(${NUMBER_SOURCE})\\s*(€|euros?|eur|céntimos?|%|por ciento)`,
+    key: m => `${Preservation.numberValue(m[1])} ${Preservation.unit(m[2])}`
+  },
+  {
+    category: 'amount',
+    pattern: '(€)\\s*(\\d+(?:[.,]\\d+)*)',
+    key: m => `${Preservation.numberValue(m[2])} €`
+  },
+  {
+    category: 'period',
+    pattern: `(${NUMBER_SOURCE})\\s+(días?(?:\\s+(?:hábiles|hábil|naturales|natural))?|semanas?|meses|mes|años?|horas?|minutos?)`,
+    key: m => `${Preservation.numberValue(m[1])} ${Preservation.unit(m[2])}`
+  }
+];
+
+const Preservation = {
+  legalKind(kind) {
+    const lower = kind.toLowerCase().replace(/\.$/, '');
+    if (/^art/.test(lower)) return 'artículo';
+    if (/^apartado/.test(lower)) return 'apartado';
+    if (/^ley/.test(lower)) return lower === 'leyes' ? 'ley' : lower;
+    return lower.replace('disposicion', 'disposición');
+  },
+
+  dateKey(day, month, year) {
+    const d = parseInt(day, 10);
+    const m = parseInt(month, 10);
+    if (!(d >= 1 && d <= 31 && m >= 1 && m <= 12)) return null;
+    if (!year) return `${d}/${m}`;
+    const y = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+    return `${d}/${m}/${y}`;
+  },
+
+  // "1.500,50" → 1500.5; "diez" → 10
+  numberValue(number) {
+    const lower = number.toLowerCase();
+    if (lower in NUMBER_WORDS) return NUMBER_WORDS[lower];
+    // A single separator followed by three digits is a thousands separator
+    const normalized = /^\d{1,3}(?:\.\d{3})+(?:,\d+)?$/.test(number) || /^\d{1,3}\.\d{3}$/.test(number)
+      ? number.replace(/\./g, '').replace(',', '.')
+      : number.replace(',', '.');
+    return parseFloat(normalized);
+  },
+
+  // Singular, lowercase unit: "días hábiles" → "día hábil", "euros" → "€"
+  unit(unit) {
+    const lower = unit.toLowerCase().replace(/\s+/g, ' ');
+    if (/^(?:€|euros?|eur)$/.test(lower)) return '€';
+    if (/^(?:%|por ciento)$/.test(lower)) return '%';
+    return lower.split(' ').map(word => UNIT_SINGULARS[word] || word).join(' ');
+  },
+
+  // Whole-word match of a phrase, with any run of spaces between its words
+  phrasePattern(phrase, flags = 'u') {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags);
+  },
+
+  /**
+   * Terms of text the rewrite must copy literally: the legal citations plus
+   * the user's protected terms (matched in any case), as written in text.
+   */
+  protectedTerms(text, terms = []) {
+    const found = new Map();
+    const legal = FACT_PATTERNS.find(fact => fact.category === 'legal');
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${legal.pattern})(?![\\p{L}\\p{N}])`, 'giu');
+    for (const match of text.matchAll(regex)) {
+      found.set(match[0].toLowerCase(), match[0]);
+    }
+    terms.forEach(term => {
+      const match = this.phrasePattern(term, 'iu').exec(text);
+      if (match) found.set(match[0].toLowerCase(), match[0]);
+    });
+    return [...found.values()];
+  }
+};
+
+class PreservationAgent extends BaseAgent {
+  constructor() {
+    super('Preservation');
+  }
+
+  /**
+   * Compares the rewritten text against context.originalText. Every fact of
+   * the original must appear in the rewrite; a fact is 'changed' when the
+   * rewrite has a different fact of the same category, 'missing' otherwise.
+   * Terms in context.protectedTerms must appear unchanged.
+   */
+  async analyze(text, context = {}) {
+    const language = context.rules?.language;
+    const originalFacts = this._extractFacts(context.originalText || '', language);
+    const rewrittenFacts = this._extractFacts(text, language);
+    const rewrittenKeys = new Set(rewrittenFacts.map(fact => `${fact.category}:${fact.key}`));
+    const originalKeys = new Set(originalFacts.map(fact => `${fact.category}:${fact.key}`));
+    const rewrittenValues = this._numericValues(text, rewrittenFacts);
+
+    const issues = [];
+    originalFacts.forEach(fact => {
+      if (this._isPreserved(fact, text, rewrittenKeys, rewrittenValues)) return;
+
+      const added = rewrittenFacts
+        .filter(other => other.category === fact.category && !originalKeys.has(`${other.category}:${other.key}`));
+      // Prefer a fact of the same kind: "artículo 13" for "artículo 12", not "Ley 40/2015"
+      const sameKind = added.filter(other => other.key.split(' ')[0] === fact.key.split(' ')[0]);
+      const candidates = (sameKind.length > 0 ? sameKind : added).map(other => other.text);
+      const status = candidates.length > 0 && fact.category !== 'name' ? 'changed' : 'missing';
+      const label = PRESERVATION_CATEGORIES[fact.category];
+
+      issues.push({
+        type: 'preservation',
+        category: fact.category,
+        status,
+        text: fact.text,
+        candidates: [...new Set(candidates)].slice(0, 3),
+        issue: status === 'changed'
+          ? I18n.t('preservationChanged', label, fact.text, candidates[0])
+          : I18n.t('preservationMissing', label, fact.text),
+        recommendation: I18n.t('preservationFix')
+      });
+    });
+
+    // The user's protected terms must be copied literally, as written in the
+    // original. Legal citations are already checked as facts.
+    const protectedTerms = [...new Set((context.protectedTerms || [])
+      .map(term => Preservation.phrasePattern(term, 'iu').exec(context.originalText || ''))
+      .filter(Boolean)
+      .map(match => match[0]))];
+    protectedTerms.forEach(term => {
+      if (this._containsPhrase(text, term)) return;
+      // Reported as a protected term rather than as a proper name
+      const reported = issues.findIndex(issue => issue.text === term);
+      if (reported !== -1) issues.splice(reported, 1);
+      issues.push({
+        type: 'preservation',
+        category: 'protected',
+        status: 'missing',
+        text: term,
+        candidates: [],
+        issue: I18n.t('preservationProtectedMissing', term),
+        recommendation: I18n.t('preservationProtectedFix')
+      });
+    });
+
+    return {
+      agent: this.name,
+      preserved: issues.length === 0,
+      checked: originalFacts.length + protectedTerms.length,
+      issues
+    };
+  }
+
+  getCapabilities() {
+    return ['fact_preservation', 'deadline_checking', 'legal_reference_checking', 'proper_name_checking'];
+  }
+
+  // Returns [{ category, text, key, values, start, end }], one per distinct fact
+  _extractFacts(text, language = DEFAULT_LANGUAGE) {
+    const facts = [];
+    const claimed = [];
+    const add = (category, start, end, key, values = []) => {
+      if (key === null || claimed.some(([s, e]) => start < e && end > s)) return;
+      claimed.push([start, end]);
+      facts.push({ category, text: text.slice(start, end), key, values, start, end });
+    };
+
+    FACT_PATTERNS.forEach(({ category, pattern, key }) => {
+      const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${pattern})(?![\\p{L}\\p{N}])`, 'giu');
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const values = (match[0].match(new RegExp(NUMBER_SOURCE, 'giu')) || []).map(n => Preservation.numberValue(n));
+        add(category, match.index, match.index + match[0].length, key(match), values);
+      }
+    });
+
+    Tokenizer.words(text).forEach(word => {
+      if (word.type === 'email' || word.type === 'url') {
+        add(word.type, word.start, word.end, word.text.toLowerCase().replace(/\/$/, ''));
+      } else if (word.type === 'number') {
+        // "1." or "2)" numbering a list item is formatting, not data
+        const lineStart = text.lastIndexOf('\n', word.start - 1) + 1;
+        if (!text.slice(lineStart, word.start).trim() && /^[.)]/.test(text.slice(word.end))) return;
+        const value = Preservation.numberValue(word.text);
+        add('number', word.start, word.end, String(value), [value]);
+      }
+    });
+
+    this._findProperNames(text, language).forEach(name => add('name', name.start, name.end, name.text));
+
+    const seen = new Set();
+    return facts.filter(fact => {
+      const id = `${fact.category}:${fact.key}`;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
+  // Every number a text mentions, in digits or in words
+  _numericValues(text, facts) {
+    const values = new Set(facts.flatMap(fact => fact.values));
+    Tokenizer.words(text).forEach(word => {
+      const lower = word.text.toLowerCase();
+      if (lower in NUMBER_WORDS) values.add(NUMBER_WORDS[lower]);
+    });
+    return values;
+  }
+
+  _isPreserved(fact, text, rewrittenKeys, rewrittenValues) {
+    if (fact.category === 'name') return this._containsPhrase(text, fact.text);
+    if (fact.category === 'number') return rewrittenValues.has(Number(fact.key));
+    if (rewrittenKeys.has(`${fact.category}:${fact.key}`)) return true;
+    // "12 de marzo" is still there when the rewrite says "12/03/2025"
+    if (fact.category === 'date') {
+      return [...rewrittenKeys].some(key => key.startsWith(`date:${fact.key}/`));
+    }
+    return false;
+  }
+
+  // Runs of capitalized words inside a sentence ("Gobierno de Aragón") and
+  // acronyms anywhere. Sentence-initial words only count as part of a longer
+  // name, and title-case lines (headings) are skipped.
+  _findProperNames(text, language = DEFAULT_LANGUAGE) {
+    const names = [];
+    const nameWords = NAME_WORDS[language] || { connectors: [], openers: [] };
+    const connectors = new Set(nameWords.connectors);
+    // Capitalized only because they open the sentence: "El Gobierno de Aragón"
+    const openers = new Set(nameWords.openers);
+    const abbreviations = ABBREVIATIONS[language] || new Set();
+
+    Tokenizer.sentences(text, language).forEach(sentence => {
+      const words = Tokenizer.words(sentence.text).filter(w => w.type === 'word');
+      const capitalized = words.filter(w => /^\p{Lu}/u.test(w.text));
+      if (words.length >= 3 && capitalized.length / words.length > 0.5) return;
+
+      let run = [];
+      const flush = () => {
+        while (run.length && connectors.has(run[run.length - 1].text)) run.pop();
+        if (run.length > 1 && run[0] === words[0] && openers.has(run[0].text.toLowerCase())) run.shift();
+        const isAcronym = run.length === 1 && /^\p{Lu}{2,}$/u.test(run[0].text);
+        const startsSentence = run.length && run[0] === words[0];
+        if (run.length && (isAcronym || run.length > 1 || !startsSentence)) {
+          names.push({
+            text: sentence.text.slice(run[0].start, run[run.length - 1].end),
+            start: sentence.start + run[0].start,
+            end: sentence.start + run[run.length - 1].end
+          });
+        }
+        run = [];
+      };
+
+      words.forEach((word, idx) => {
+        const before = sentence.text.slice(idx > 0 ? words[idx - 1].end : 0, word.start);
+        const isCapital = /^\p{Lu}/u.test(word.text)
+          && !abbreviations.has(word.text.toLowerCase())
+          // After a colon or an opening mark a capital does not mean a name
+          && (/^\p{Lu}{2,}$/u.test(word.text) || !/[:«"“(¿¡]/.test(before));
+
+        if (isCapital) {
+          run.push(word);
+        } else if (run.length && connectors.has(word.text) && before.trim() === '') {
+          run.push(word);
+        } else {
+          flush();
+        }
+      });
+      flush();
+    });
+
+    return names;
+  }
+
+  _containsPhrase(text, phrase) {
+    return Preservation.phrasePattern(phrase).test(text);
+  }
+}
+
 // ============================================================================
 // AGENT COORDINATOR
 // ============================================================================
@@ -547,73 +1664,473 @@ class AgentCoordinator {
     this.style = new StyleAgent();
     this.seo = new SEOAgent();
     this.validator = new ValidatorAgent();
+    this.lexicon = new LexiconAgent();
+    this.preservation = new PreservationAgent();
   }
 
   async processText(text, options = {}) {
     const results = {
       originalText: text,
+      metadata: options.metadata || {},
       analysis: null,
       rewriting: null,
       grammar: null,
       style: null,
       seo: null,
       validation: null,
+      lexicon: null,
+      preservation: null,
+      audience: null,
+      language: null,
+      sections: [],
+      readability: null,
+      scores: null,
       finalText: text,
       improvements: []
     };
 
     const context = {
       apiKey: options.apiKey,
+      llm: options.llm,
+      customLexicon: options.customLexicon || [],
+      cache: options.cache,
+      forceRewrite: options.forceRewrite,
+      signal: options.signal,
+      // options.audience: an AUDIENCES id (lib/audiences.js)
+      audience: Audiences.get(options.audience),
+      protectedTerms: options.protectedTerms || [],
       isWebPage: true,
       metadata: options.metadata || {}
     };
-
-    const onProgress = options.onProgress || (() => {});
+    // options.lang: the page's lang attribute or a language code, by default
+    // metadata.lang; without either the language is guessed from the text
+    const language = Languages.detect(text, options.lang || context.metadata.lang);
+    if (context.audience.easyRead && language.code !== 'es') {
+      language.warnings.push(I18n.t('easyReadSpanishOnly'));
+    }
+    context.rules = Languages.rules(Audiences.rules(RuleSettings.normalize(options.rules), context.audience), language);
+    results.audience = { id: context.audience.id, label: context.audience.label };
+    results.language = language;
+    // Agents turned off in the rule settings leave their result null
+    const enabled = agent => RuleSettings.isAgentEnabled(context.rules, agent);
+
+    // options.signal (an AbortSignal) stops the pipeline between steps and
+    // cancels the request in flight; processText then rejects with an AbortError
+    const onProgress = (...args) => {
+      options.signal?.throwIfAborted();
+      (options.onProgress || (() => {}))(...args);
+    };
 
     // Step 1: Analyze
-    onProgress('analyzer', 'Analizando texto...');
+    onProgress('analyzer', I18n.t('progressAnalyzer'));
     results.analysis = await this.analyzer.analyze(text, context);
 
-    // Step 2: Rewrite (API call)
-    onProgress('rewriter', 'Reescribiendo con IA...');
-    results.rewriting = await this.rewriter.analyze(text, context);
-    let currentText = results.rewriting.rewrittenText || text;
+    // Step 2: Lexicon (bureaucratic language, fillers, redundancies)
+    if (enabled('lexicon')) {
+      onProgress('lexicon', I18n.t('progressLexicon'));
+      results.lexicon = await this.lexicon.analyze(text, context);
+      if (results.lexicon.issues.length > 0) {
+        results.improvements.push(...results.lexicon.issues);
+      }
+    }
+
+    // Step 3: Rewrite (API call), one request per section
+    const sections = enabled('rewriter')
+      ? this._splitIntoSections(
+        text,
+        sectionCharsFor(options.sectionChars || DEFAULT_SECTION_CHARS, options.llm?.maxTokens || DEFAULT_LLM_SETTINGS.maxTokens),
+        language.code
+      )
+      : [];
+    const rewritings = [];
+
+    for (let i = 0; i < sections.length; i++) {
+      const status = sections.length > 1
+        ? I18n.t('progressRewriterSection', i + 1, sections.length)
+        : I18n.t('progressRewriter');
+      onProgress('rewriter', status, { section: i + 1, totalSections: sections.length });
+
+      // The text rewritten so far, finished sections plus the one streaming
+      const progress = { section: i + 1, totalSections: sections.length };
+      const done = rewritings.map(r => r.rewrittenText);
+      const partialText = partial => [...done, partial].filter(Boolean).join('\n\n');
+      const sectionContext = {
+        ...context,
+        lexiconMatches: enabled('lexicon') ? this.lexicon._findMatches(sections[i], context.customLexicon, language.code) : []
+      };
+
+      let rewriting;
+      try {
+        rewriting = await this.rewriter.analyze(sections[i], {
+          ...sectionContext,
+          // Streamed only when someone is watching
+          onPartialText: options.onProgress &&
+            (partial => onProgress('rewriter', status, { ...progress, partialText: partialText(partial) }))
+        });
+      } catch (error) {
+        if (error.code !== 'stream') throw error;
+        // Dropped stream: drop its partial text and ask again in one piece
+        onProgress('rewriter', I18n.t('progressRetrying', error.message), { ...progress, partialText: partialText('') });
+        rewriting = await this.rewriter.analyze(sections[i], sectionContext);
+      }
+      options.signal?.throwIfAborted();
+      if (rewriting.cached) {
+        onProgress('rewriter', sections.length > 1
+          ? I18n.t('progressCachedSection', i + 1)
+          : I18n.t('progressCached'), { ...progress, partialText: partialText(rewriting.rewrittenText) });
+      }
+      rewritings.push(rewriting);
+      results.sections.push({
+        index: i + 1,
+        originalText: sections[i],
+        rewrittenText: rewriting.rewrittenText || sections[i]
+      });
+    }
 
-    if (results.rewriting.improvements) {
+    results.rewriting = rewritings.length > 0 ? this._mergeRewritings(text, rewritings, context.rules) : null;
+    let currentText = results.rewriting?.rewrittenText || text;
+
+    if (results.rewriting?.improvements) {
       results.improvements.push(...results.rewriting.improvements);
     }
 
-    // Step 3: Grammar
-    onProgress('grammar', 'Revisando gramática...');
-    results.grammar = await this.grammar.analyze(currentText, context);
-    if (results.grammar.issues && results.grammar.issues.length > 0) {
-      results.improvements.push(...results.grammar.issues);
+    // Step 4: Grammar
+    if (enabled('grammar')) {
+      onProgress('grammar', I18n.t('progressGrammar'));
+      results.grammar = await this.grammar.analyze(currentText, context);
+      if (results.grammar.issues && results.grammar.issues.length > 0) {
+        results.improvements.push(...results.grammar.issues);
+      }
+      if (results.grammar.correctedText !== currentText) {
+        currentText = results.grammar.correctedText;
+        // Keep the per-section texts used by the diff in step with the fixes
+        results.sections.forEach(section => {
+          section.rewrittenText = this.grammar.correct(section.rewrittenText, context.rules);
+        });
+      }
+    }
+
+    // Step 5: Style
+    if (enabled('style')) {
+      onProgress('style', I18n.t('progressStyle'));
+      results.style = await this.style.analyze(currentText, context);
+      if (results.style.styleIssues && results.style.styleIssues.length > 0) {
+        results.improvements.push(...results.style.styleIssues);
+      }
     }
+    results.readability = {
+      original: Readability.analyze(text, language.code),
+      improved: results.style ? results.style.readabilityIndices : Readability.analyze(currentText, language.code)
+    };
 
-    // Step 4: Style
-    onProgress('style', 'Analizando estilo...');
-    results.style = await this.style.analyze(currentText, context);
-    if (results.style.styleIssues && results.style.styleIssues.length > 0) {
-      results.improvements.push(...results.style.styleIssues);
+    // Step 6: SEO (always run for web pages)
+    if (enabled('seo')) {
+      onProgress('seo', I18n.t('progressSeo'));
+      results.seo = await this.seo.analyze(currentText, context);
+      if (results.seo.seoRecommendations) {
+        results.improvements.push(...results.seo.seoRecommendations);
+      }
     }
 
-    // Step 5: SEO (always run for web pages)
-    onProgress('seo', 'Evaluando SEO...');
-    results.seo = await this.seo.analyze(currentText, context);
-    if (results.seo.seoRecommendations) {
-      results.improvements.push(...results.seo.seoRecommendations);
+    // Step 7: Check that the rewrite kept the facts of the original
+    if (enabled('preservation') && results.rewriting) {
+      onProgress('preservation', I18n.t('progressPreservation'));
+      results.preservation = await this.preservation.analyze(currentText, { ...context, originalText: text });
+      if (results.preservation.issues.length > 0) {
+        results.improvements.unshift(...results.preservation.issues);
+      }
     }
 
-    // Step 6: Validate
-    onProgress('validator', 'Validando resultados...');
-    results.validation = await this.validator.analyze(currentText, context);
+    // Step 8: Validate
+    onProgress('validator', I18n.t('progressValidator'));
+    results.validation = await this.validator.analyze(currentText, { ...context, preservation: results.preservation });
     results.finalText = currentText;
 
-    onProgress('done', 'Análisis completado');
+    // Same local scores for both texts, so the popup can show the deltas
+    results.scores = {
+      original: this._scoreText(text, context),
+      improved: this._scoreText(currentText, context)
+    };
+
+    onProgress('done', I18n.t('progressDone'));
 
     return results;
   }
 
+  // Splits text into sections of at most maxChars, cutting along paragraph
+  // boundaries and preferring to start a new section at a heading.
+  _splitIntoSections(text, maxChars = DEFAULT_SECTION_CHARS, language = DEFAULT_LANGUAGE) {
+    const paragraphs = Tokenizer.paragraphs(text).map(p => p.text);
+    const sections = [];
+    let current = [];
+    let currentLength = 0;
+
+    const flush = () => {
+      // Never leave a heading dangling at the end of a section
+      const carry = current.length > 1 && this._isHeading(current[current.length - 1])
+        ? [current.pop()]
+        : [];
+      if (current.length > 0) {
+        sections.push(current.join('\n\n'));
+      }
+      current = carry;
+      currentLength = carry.reduce((sum, p) => sum + p.length + 2, 0);
+    };
+
+    paragraphs.forEach(paragraph => {
+      if (this._isHeading(paragraph) && currentLength > maxChars / 2) {
+        flush();
+      }
+
+      const pieces = paragraph.length > maxChars
+        ? this._splitLongParagraph(paragraph, maxChars, language)
+        : [paragraph];
+
+      pieces.forEach(piece => {
+        // A lone heading stays with its body even if that overflows a little
+        const onlyHeading = current.length === 1 && this._isHeading(current[0]);
+        if (current.length > 0 && !onlyHeading && currentLength + piece.length > maxChars) {
+          flush();
+        }
+        current.push(piece);
+        currentLength += piece.length + 2;
+      });
+    });
+
+    if (current.length > 0) {
+      sections.push(current.join('\n\n'));
+    }
+
+    return sections.length > 0 ? sections : [text];
+  }
+
+  _splitLongParagraph(paragraph, maxChars, language = DEFAULT_LANGUAGE) {
+    const sentences = Tokenizer.sentences(paragraph, language).map(s => s.text);
+    const pieces = [];
+    let current = '';
+
+    sentences.forEach(sentence => {
+      // A single sentence over the limit is cut at word boundaries
+      while (sentence.length > maxChars) {
+        const cut = sentence.lastIndexOf(' ', maxChars);
+        const at = cut > 0 ? cut : maxChars;
+        if (current) {
+          pieces.push(current);
+          current = '';
+        }
+        pieces.push(sentence.substring(0, at).trim());
+        sentence = sentence.substring(at).trim();
+      }
+
+      if (current && current.length + sentence.length + 1 > maxChars) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    });
+
+    if (current) pieces.push(current);
+    return pieces;
+  }
+
+  _isHeading(paragraph) {
+    return paragraph.length < 100 && !paragraph.includes('\n') && !/[.!?:;,]$/.test(paragraph);
+  }
+
+  // Agents turned off in context.rules count no issues. `inflesz` keeps its
+  // name for stored histories and audits, but holds the main ease index of
+  // the language (Flesch reading ease for English); null without formulas.
+  _scoreText(text, context) {
+    const rules = context.rules || DEFAULT_RULES;
+    const enabled = agent => RuleSettings.isAgentEnabled(rules, agent);
+    const indices = Readability.analyze(text, rules.language);
+    return {
+      qualityScore: this.validator._calculateQualityScore(text, rules),
+      readabilityScore: this.style._calculateReadability(indices),
+      inflesz: indices ? indices[indices.primary].value : null,
+      styleIssues: enabled('style') ? this.style._findStyleIssues(text, rules).length : 0,
+      grammarIssues: enabled('grammar') ? this.grammar._findGrammarIssues(text, rules).length : 0,
+      lexiconIssues: enabled('lexicon') ? this.lexicon._findMatches(text, context.customLexicon, rules.language).length : 0
+    };
+  }
+
+  _mergeRewritings(text, rewritings, rules = DEFAULT_RULES) {
+    if (rewritings.length === 1) return rewritings[0];
+
+    const rewrittenText = rewritings.map(r => r.rewrittenText).join('\n\n');
+    const issuesDetected = [...new Set(rewritings.flatMap(r => r.issuesDetected || []))];
+    const structured = rewritings.every(r => r.structured);
+
+    const improvements = rewritings.filter(r => r.structured).flatMap(r => r.improvements);
+    if (!structured) {
+      // Recompute over the whole text so the summary is not repeated per section
+      improvements.push(...this.rewriter._identifyImprovements(text, rewrittenText, rules));
+    }
+
+    return {
+      agent: this.rewriter.name,
+      originalText: text,
+      rewrittenText,
+      changes: rewritings.flatMap(r => r.changes || []),
+      structured,
+      improvements,
+      issuesDetected,
+      model: rewritings[0].model,
+      sectionCount: rewritings.length,
+      cached: rewritings.every(r => r.cached)
+    };
+  }
+
+  // Collects the sentence-level issues of the local agents for a text, in a
+  // shape the content script can use to highlight them on the page.
+  // options: { customLexicon, rules, audience, lang }
+  locateIssues(text, options = {}) {
+    const located = [];
+    const rules = this._effectiveRules(text, options);
+    const enabled = agent => RuleSettings.isAgentEnabled(rules, agent);
+
+    this.analyzer._detectIssues(text, rules)
+      .filter(issue => issue.text)
+      .forEach(issue => located.push({
+        source: this.analyzer.name,
+        kind: issue.type,
+        text: issue.text,
+        issue: I18n.t('styleLongSentenceWords', issue.words),
+        recommendation: I18n.t('styleLongSentenceFix')
+      }));
+
+    (enabled('style') ? this.style._findStyleIssues(text, rules) : [])
+      .filter(issue => issue.text)
+      .forEach(issue => located.push({
+        source: this.style.name,
+        kind: 'style',
+        text: issue.text,
+        issue: issue.issue,
+        recommendation: issue.recommendation
+      }));
+
+    (enabled('grammar') ? this.grammar._findGrammarIssues(text, rules) : [])
+      .filter(issue => issue.text.trim())
+      .forEach(issue => located.push({
+        source: this.grammar.name,
+        kind: 'grammar',
+        text: issue.text,
+        issue: issue.issue,
+        recommendation: issue.recommendation
+      }));
+
+    this.validator._validateImprovements(text, rules)
+      .filter(validation => validation.status === 'warning' && validation.text)
+      .forEach(validation => located.push({
+        source: this.validator.name,
+        kind: 'warning',
+        text: validation.text,
+        issue: validation.message,
+        recommendation: validation.recommendation
+      }));
+
+    (enabled('lexicon') ? this.lexicon._findMatches(text, options.customLexicon, rules.language) : [])
+      .forEach(match => located.push({
+        source: this.lexicon.name,
+        kind: 'lexicon',
+        text: match.text,
+        issue: match.issue,
+        recommendation: match.recommendation
+      }));
+
+    return located;
+  }
+
+  // Local checks for text being typed in an editable field: long sentences,
+  // passive voice and repeated words with offsets into the text, plus the
+  // validator's quality score. No API calls. rules: see lib/rules.js, with
+  // the language of the field from Languages.rules
+  checkInline(text, rules = DEFAULT_RULES) {
+    const issues = [];
+    const enabled = agent => RuleSettings.isAgentEnabled(rules, agent);
+
+    this.analyzer._detectIssues(text, rules)
+      .filter(issue => issue.type === 'sentence_length')
+      .forEach(issue => issues.push({
+        kind: 'warning',
+        start: issue.start,
+        end: issue.end,
+        issue: I18n.t('styleLongSentenceWords', issue.words),
+        recommendation: I18n.t('styleLongSentenceFix')
+      }));
+
+    (enabled('style') ? this.style._findStyleIssues(text, rules) : [])
+      .filter(issue => issue.sentenceText)
+      .forEach(issue => issues.push({
+        kind: 'style',
+        start: issue.start,
+        end: issue.end,
+        issue: issue.issue,
+        recommendation: issue.recommendation
+      }));
+
+    (enabled('grammar') ? this.grammar._findGrammarIssues(text, rules) : [])
+      .filter(issue => issue.rule === 'repeated_word')
+      .forEach(issue => issues.push({
+        kind: 'grammar',
+        start: issue.start,
+        end: issue.end,
+        issue: issue.issue,
+        recommendation: issue.recommendation
+      }));
+
+    return {
+      issues: issues.sort((a, b) => a.start - b.start || b.end - a.end),
+      qualityScore: this.validator._calculateQualityScore(text, rules)
+    };
+  }
+
+  // Severity, language code and scores of a text from the local agents only,
+  // as the site audit reports them for pages it does not rewrite
+  assessText(text, options = {}) {
+    const rules = this._effectiveRules(text, options);
+    const issues = this.analyzer._detectIssues(text, rules);
+    return {
+      language: rules.language,
+      severity: this.analyzer._assessSeverity(issues, rules),
+      longSentences: issues.filter(issue => issue.type === 'sentence_length').length,
+      scores: this._scoreText(text, { customLexicon: options.customLexicon || [], rules })
+    };
+  }
+
+  // Rewrites a single paragraph (inline "Reescribir este párrafo") and runs
+  // the automatic grammar fixes on the result
+  async rewriteParagraph(text, options = {}) {
+    const customLexicon = options.customLexicon || [];
+    const audience = Audiences.get(options.audience);
+    const rules = this._effectiveRules(text, options);
+    if (!RuleSettings.isAgentEnabled(rules, 'rewriter')) {
+      throw new Error(I18n.t('rewriterDisabled'));
+    }
+    const rewriting = await this.rewriter.analyze(text, {
+      apiKey: options.apiKey,
+      llm: options.llm,
+      cache: options.cache,
+      forceRewrite: options.forceRewrite,
+      signal: options.signal,
+      rules,
+      audience,
+      protectedTerms: options.protectedTerms || [],
+      customLexicon,
+      lexiconMatches: RuleSettings.isAgentEnabled(rules, 'lexicon') ? this.lexicon._findMatches(text, customLexicon, rules.language) : []
+    });
+
+    const rewritten = rewriting.rewrittenText || text;
+    return RuleSettings.isAgentEnabled(rules, 'grammar') ? this.grammar.correct(rewritten, rules) : rewritten;
+  }
+
+  // Rule settings with the audience's thresholds and the language of the
+  // text on top. options: { rules, audience, lang } as in processText
+  _effectiveRules(text, options = {}) {
+    const rules = Audiences.rules(RuleSettings.normalize(options.rules), Audiences.get(options.audience));
+    return Languages.rules(rules, Languages.detect(text, options.lang));
+  }
+
   getAvailableAgents() {
     return {
       analyzer: this.analyzer.getCapabilities(),
@@ -621,7 +2138,9 @@ class AgentCoordinator {
       grammar: this.grammar.getCapabilities(),
       style: this.style.getCapabilities(),
       seo: this.seo.getCapabilities(),
-      validator: this.validator.getCapabilities()
+      validator: this.validator.getCapabilities(),
+      lexicon: this.lexicon.getCapabilities(),
+      preservation: this.preservation.getCapabilities()
     };
   }
 }
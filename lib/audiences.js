@@ -0,0 +1,86 @@
+// ============================================================================
+// AUDIENCES
+// Who the rewrite is for. Each audience adds its own instructions to the
+// rewrite prompt and may override some rule thresholds (lib/rules.js), so the
+// validator scores the text against the register the reader expects.
+// ============================================================================
+
+const DEFAULT_AUDIENCE = 'general';
+
+const AUDIENCES = {
+  general: {
+    label: I18n.t('audienceGeneral'),
+    // As it appears in the (Spanish) prompt
+    name: 'Ciudadanía general',
+    instructions: [
+      'Escribe para cualquier persona adulta, sin conocimientos previos del tema.',
+      'Explica los términos técnicos o administrativos que no se puedan evitar.',
+      'Trata al lector de usted de forma coherente en todo el texto.'
+    ],
+    // No overrides: the thresholds of the options page
+    rules: {}
+  },
+  legal: {
+    label: I18n.t('audienceLegal'),
+    name: 'Jurídico / administrativo',
+    instructions: [
+      'El texto es un anuncio, una resolución o una notificación con efectos jurídicos.',
+      'Mantén la precisión jurídica: no cambies el alcance de obligaciones, derechos, plazos ni recursos.',
+      'Conserva los términos jurídicos necesarios y explícalos la primera vez si no son de uso común.',
+      'Simplifica la sintaxis y el lenguaje burocrático sin eliminar información.'
+    ],
+    // Legal terms are long and some enumerations cannot be split further
+    rules: { maxSentenceWords: 35, optimalSentenceMax: 30, complexWordLength: 15 }
+  },
+  technical: {
+    label: I18n.t('audienceTechnical'),
+    name: 'Técnico',
+    instructions: [
+      'El texto es documentación técnica para profesionales del ámbito.',
+      'Conserva la terminología técnica precisa; no la sustituyas por sinónimos vagos.',
+      'Da una instrucción por oración y usa listas o pasos numerados cuando haya una secuencia.'
+    ],
+    rules: { complexWordLength: 16 }
+  },
+  young: {
+    label: I18n.t('audienceYoung'),
+    name: 'Jóvenes',
+    instructions: [
+      'Escribe para lectores de entre 12 y 18 años.',
+      'Usa oraciones cortas, vocabulario cotidiano y un tono cercano, sin infantilizar.',
+      'Tutea al lector y explica con un ejemplo los conceptos abstractos.'
+    ],
+    rules: { maxSentenceWords: 20, minSentenceWords: 5, optimalSentenceMin: 8, optimalSentenceMax: 15, complexWordLength: 11 }
+  },
+  easy: {
+    label: I18n.t('audienceEasyRead'),
+    name: 'Lectura Fácil (UNE 153101 EX)',
+    // Own system prompt and validator checklist (lib/easyread.js)
+    easyRead: true,
+    instructions: [],
+    rules: { maxSentenceWords: 15, minSentenceWords: 3, optimalSentenceMin: 5, optimalSentenceMax: 12, complexWordLength: 10 }
+  }
+};
+
+const Audiences = {
+  // { id, label, name, instructions, rules }; unknown ids fall back to the default
+  get(id) {
+    const key = AUDIENCES[id] ? id : DEFAULT_AUDIENCE;
+    return { id: key, ...AUDIENCES[key] };
+  },
+
+  /**
+   * The rule settings with the audience's thresholds on top. Agent and check
+   * switches always come from the settings.
+   */
+  rules(rules, audience) {
+    return RuleSettings.normalize({ ...rules, ...audience.rules, agents: rules.agents, checks: rules.checks });
+  },
+
+  // Protected terms from a textarea, one per line ('#' starts a comment)
+  parseTerms(value) {
+    return [...new Set(value.split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#')))];
+  }
+};
@@ -0,0 +1,203 @@
+// ============================================================================
+// SITE AUDIT
+// Fetches a list of pages (or the pages of a sitemap.xml), extracts them like
+// the content script does and scores them with the local agents, optionally
+// rewriting them too. Rows are ranked by severity and quality and can be
+// exported as CSV.
+// ============================================================================
+
+const AUDIT_SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// Sitemap indexes may point to further sitemaps; this many levels are followed
+const MAX_SITEMAP_DEPTH = 2;
+
+const AUDIT_CSV_COLUMNS = [
+  ['url', 'URL'],
+  ['title', I18n.t('auditColumnTitle')],
+  ['language', I18n.t('reportLanguageLabel')],
+  ['status', I18n.t('auditColumnStatus')],
+  ['severity', I18n.t('severity')],
+  ['qualityScore', I18n.t('reportQuality')],
+  // INFLESZ, or Flesch reading ease for pages in English
+  ['inflesz', I18n.t('reportReadability')],
+  ['words', I18n.t('auditColumnWords')],
+  ['longSentences', I18n.t('checkLongSentences')],
+  ['styleIssues', I18n.t('reportStyleIssues')],
+  ['grammarIssues', I18n.t('reportGrammarIssues')],
+  ['lexiconIssues', I18n.t('reportLexiconIssues')],
+  ['improvedQualityScore', I18n.t('auditColumnImprovedQuality')],
+  ['improvedInflesz', I18n.t('auditColumnImprovedReadability')],
+  ['preservationIssues', I18n.t('reportChangedData')],
+  ['error', I18n.t('auditColumnError')]
+];
+
+const SiteAudit = {
+  /**
+   * Distinct http(s) URLs of a list, one per line (spaces and commas also
+   * separate). Lines starting with # are ignored.
+   */
+  parseUrlList(text) {
+    const urls = text
+      .split('\n')
+      .filter(line => !line.trim().startsWith('#'))
+      .flatMap(line => line.split(/[\s,]+/))
+      .map(url => url.trim())
+      .filter(url => /^https?:\/\//i.test(url));
+    return [...new Set(urls)];
+  },
+
+  /**
+   * Page URLs of a sitemap, following sitemap indexes.
+   */
+  async fetchSitemap(url, options = {}, depth = 0) {
+    const response = await fetch(url, { signal: options.signal });
+    if (!response.ok) throw new Error(I18n.t('auditErrorSitemapDownload', response.status));
+
+    const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new Error(I18n.t('auditErrorSitemapXml'));
+    }
+
+    // Only web addresses: a hostile sitemap could list javascript: URLs,
+    // which the dashboard would turn into links
+    const locs = element => [...element.getElementsByTagNameNS('*', 'loc')]
+      .map(loc => loc.textContent.trim())
+      .filter(loc => /^https?:\/\//i.test(loc));
+    const index = xml.getElementsByTagNameNS('*', 'sitemapindex')[0];
+    if (!index) return [...new Set(locs(xml))];
+    if (depth >= MAX_SITEMAP_DEPTH) return [];
+
+    const urls = [];
+    for (const sitemap of locs(index)) {
+      urls.push(...await this.fetchSitemap(sitemap, options, depth + 1));
+    }
+    return [...new Set(urls)];
+  },
+
+  /**
+   * Fetches, extracts and scores one page.
+   * options: { rewrite, settings (AgentCoordinator options), signal }
+   * Returns a row (see AUDIT_CSV_COLUMNS) with status 'done' or 'error'.
+   */
+  async auditPage(url, options = {}) {
+    const row = { url, title: '', status: 'done', error: '' };
+
+    try {
+      const response = await fetch(url, { signal: options.signal, credentials: 'omit' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      if (!/html/i.test(response.headers.get('content-type') || 'text/html')) {
+        throw new Error(I18n.t('auditErrorNotHtml'));
+      }
+
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const metadata = PageExtractor.metadata(doc, response.url || url);
+      const { text } = PageExtractor.extractText(doc.body);
+      row.title = metadata.title;
+      if (text.trim().length < 20) throw new Error(I18n.t('auditErrorNoText'));
+
+      const coordinator = new AgentCoordinator();
+      row.words = Tokenizer.wordCount(text);
+
+      const local = coordinator.assessText(text, { ...options.settings, lang: metadata.lang });
+      Object.assign(row, this._scoreColumns(local.severity, local.longSentences, local.scores), { language: local.language });
+
+      if (options.rewrite) {
+        // A failed rewrite keeps the local scores; the row only notes the error
+        try {
+          const result = await coordinator.processText(text, { ...options.settings, metadata, signal: options.signal });
+          Object.assign(row, {
+            improvedQualityScore: result.scores.improved.qualityScore,
+            improvedInflesz: result.scores.improved.inflesz,
+            preservationIssues: result.preservation ? result.preservation.issues.length : 0
+          });
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          row.error = error.message;
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      row.status = 'error';
+      // fetch() rejects with a bare TypeError for network and permission failures
+      row.error = error instanceof TypeError && /fetch/i.test(error.message)
+        ? I18n.t('auditErrorDownload')
+        : error.message;
+    }
+
+    return row;
+  },
+
+  /**
+   * Runs worker(item, index) over the items, at most `limit` at a time.
+   */
+  async runPool(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    });
+    await Promise.all(runners);
+  },
+
+  // Worst pages first: highest severity, then lowest quality, then hardest
+  // to read. Failed pages go last.
+  rank(rows) {
+    return rows.slice().sort((a, b) =>
+      (a.status === 'error') - (b.status === 'error') ||
+      (AUDIT_SEVERITY_RANK[b.severity] || 0) - (AUDIT_SEVERITY_RANK[a.severity] || 0) ||
+      (a.qualityScore ?? 1) - (b.qualityScore ?? 1) ||
+      (a.inflesz ?? 100) - (b.inflesz ?? 100)
+    );
+  },
+
+  /**
+   * Aggregate figures for the dashboard.
+   */
+  summarize(rows) {
+    const done = rows.filter(row => row.status === 'done');
+    const average = key => {
+      const values = done.map(row => row[key]).filter(value => typeof value === 'number');
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+
+    return {
+      pages: rows.length,
+      analyzed: done.length,
+      failed: rows.length - done.length,
+      highSeverity: done.filter(row => row.severity === 'high').length,
+      qualityScore: average('qualityScore'),
+      inflesz: average('inflesz'),
+      improvedQualityScore: average('improvedQualityScore')
+    };
+  },
+
+  // UTF-8 with BOM so spreadsheet programs detect the encoding. Text cells
+  // that a spreadsheet would run as a formula (=, +, -, @) get a leading '
+  toCSV(rows) {
+    const quote = value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [AUDIT_CSV_COLUMNS.map(([, header]) => quote(header)).join(',')];
+    this.rank(rows).forEach(row => {
+      lines.push(AUDIT_CSV_COLUMNS.map(([key]) => quote(row[key])).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  },
+
+  _scoreColumns(severity, longSentences, scores) {
+    return {
+      severity,
+      qualityScore: scores.qualityScore,
+      inflesz: scores.inflesz,
+      longSentences,
+      styleIssues: scores.styleIssues,
+      grammarIssues: scores.grammarIssues,
+      lexiconIssues: scores.lexiconIssues
+    };
+  }
+};
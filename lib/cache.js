@@ -0,0 +1,78 @@
+// ============================================================================
+// REWRITE CACHE
+// Model responses in chrome.storage.local, keyed by a hash of the prompt,
+// provider, model and parameters. The least recently used entries are
+// evicted beyond REWRITE_CACHE_MAX_ENTRIES.
+// ============================================================================
+
+const REWRITE_CACHE_INDEX_KEY = 'rewriteCacheIndex';
+const REWRITE_CACHE_PREFIX = 'rewriteCache:';
+const REWRITE_CACHE_MAX_ENTRIES = 500;
+
+const RewriteCache = {
+  // Index updates are read-modify-write; chaining them keeps parallel
+  // rewrites (site audit) from losing each other's entries
+  _queue: Promise.resolve(),
+
+  async key(parts) {
+    return TextHash.sha256(JSON.stringify(parts));
+  },
+
+  /**
+   * The stored response, or null. A hit counts as a use for eviction.
+   */
+  async get(key) {
+    const data = await chrome.storage.local.get(REWRITE_CACHE_PREFIX + key);
+    const value = data[REWRITE_CACHE_PREFIX + key];
+    if (!value) return null;
+
+    await this._updateIndex(index => {
+      index[key] = Date.now();
+    });
+    return value;
+  },
+
+  async set(key, value) {
+    await chrome.storage.local.set({ [REWRITE_CACHE_PREFIX + key]: value });
+
+    let evicted = [];
+    await this._updateIndex(index => {
+      index[key] = Date.now();
+      const keys = Object.keys(index);
+      if (keys.length <= REWRITE_CACHE_MAX_ENTRIES) return;
+
+      evicted = keys
+        .sort((a, b) => index[a] - index[b])
+        .slice(0, keys.length - REWRITE_CACHE_MAX_ENTRIES);
+      evicted.forEach(old => delete index[old]);
+    });
+
+    if (evicted.length > 0) {
+      await chrome.storage.local.remove(evicted.map(old => REWRITE_CACHE_PREFIX + old));
+    }
+  },
+
+  async count() {
+    const data = await chrome.storage.local.get(REWRITE_CACHE_INDEX_KEY);
+    return Object.keys(data[REWRITE_CACHE_INDEX_KEY] || {}).length;
+  },
+
+  async clear() {
+    await this._queue;
+    const data = await chrome.storage.local.get(REWRITE_CACHE_INDEX_KEY);
+    const keys = Object.keys(data[REWRITE_CACHE_INDEX_KEY] || {});
+    await chrome.storage.local.remove([REWRITE_CACHE_INDEX_KEY, ...keys.map(key => REWRITE_CACHE_PREFIX + key)]);
+  },
+
+  _updateIndex(update) {
+    const run = this._queue.then(async () => {
+      const data = await chrome.storage.local.get(REWRITE_CACHE_INDEX_KEY);
+      const index = data[REWRITE_CACHE_INDEX_KEY] || {};
+      update(index);
+      await chrome.storage.local.set({ [REWRITE_CACHE_INDEX_KEY]: index });
+    });
+    // A failed update must not block the ones queued after it
+    this._queue = run.catch(() => {});
+    return run;
+  }
+};
@@ -0,0 +1,179 @@
+// ============================================================================
+// WORD DIFF
+// Word-level diff between the original and the improved text, with detection
+// of fragments the rewrite moved elsewhere instead of changing them.
+// ============================================================================
+
+// Largest LCS table computed in one go; bigger inputs fall back to a
+// sentence-level diff so the popup stays responsive
+const MAX_DIFF_CELLS = 4000000;
+
+// Minimum words in a deleted/inserted fragment to report it as moved
+const MIN_MOVED_WORDS = 3;
+
+const TextDiff = {
+  /**
+   * Computes the diff between two texts.
+   * Returns a list of operations { type: 'equal'|'delete'|'insert', text, moveId? }
+   * where delete/insert pairs sharing a moveId are the same fragment moved.
+   * Equal operations also carry `original`, the same words with the original
+   * text's spacing.
+   */
+  diff(original, improved) {
+    const a = this._tokenize(original);
+    const b = this._tokenize(improved);
+
+    let ops = a.length * b.length <= MAX_DIFF_CELLS
+      ? this._diffTokens(a, b)
+      : this._diffTokens(this._sentenceTokens(original), this._sentenceTokens(improved));
+
+    ops = this._splitAtSentences(this._group(ops));
+    this._detectMoves(ops);
+    return this._group(ops, true);
+  },
+
+  /**
+   * Diffs section pairs one by one and joins them, which keeps each LCS
+   * table small on long pages.
+   */
+  diffSections(sections) {
+    const ops = [];
+    let moveOffset = 0;
+    sections.forEach((section, idx) => {
+      if (idx > 0) ops.push({ type: 'equal', text: '\n\n', original: '\n\n' });
+      const sectionOps = this.diff(section.originalText, section.rewrittenText);
+      let maxMove = 0;
+      sectionOps.forEach(op => {
+        if (op.moveId) {
+          maxMove = Math.max(maxMove, op.moveId);
+          op.moveId += moveOffset;
+        }
+      });
+      moveOffset += maxMove;
+      ops.push(...sectionOps);
+    });
+    return ops;
+  },
+
+  // Words (with their trailing whitespace) and punctuation marks
+  _tokenize(text) {
+    const tokens = [];
+    const re = /([\p{L}\p{N}]+(?:[.,'’\-/][\p{L}\p{N}]+)*|[^\s\p{L}\p{N}])(\s*)/gu;
+    const leading = text.match(/^\s+/);
+    if (leading) tokens.push({ key: '', text: leading[0] });
+
+    let match;
+    while ((match = re.exec(text)) !== null) {
+      tokens.push({ key: match[1].toLowerCase(), text: match[0] });
+    }
+    return tokens;
+  },
+
+  _sentenceTokens(text) {
+    return (text.match(/[^.!?…\n]+(?:[.!?…]+|\n+|$)\s*/g) || [])
+      .map(s => ({ key: s.trim().toLowerCase(), text: s }));
+  },
+
+  // Classic LCS over token keys, after trimming the common prefix and suffix
+  _diffTokens(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start].key === b[start].key) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1].key === b[endB - 1].key) {
+      endA--;
+      endB--;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * width + j] = a[start + i].key === b[start + j].key
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+      }
+    }
+
+    const ops = a.slice(0, start).map((t, k) => ({ type: 'equal', text: b[k].text, original: t.text }));
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i].key === b[start + j].key) {
+        ops.push({ type: 'equal', text: b[start + j].text, original: a[start + i].text });
+        i++;
+        j++;
+      } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+        ops.push({ type: 'delete', text: a[start + i].text });
+        i++;
+      } else {
+        ops.push({ type: 'insert', text: b[start + j].text });
+        j++;
+      }
+    }
+    for (; i < n; i++) ops.push({ type: 'delete', text: a[start + i].text });
+    for (; j < m; j++) ops.push({ type: 'insert', text: b[start + j].text });
+
+    b.slice(endB).forEach((t, k) => ops.push({ type: 'equal', text: t.text, original: a[endA + k].text }));
+    return ops;
+  },
+
+  // Merges consecutive operations of the same type (and move)
+  _group(ops, keepMoves = false) {
+    const grouped = [];
+    ops.forEach(op => {
+      const last = grouped[grouped.length - 1];
+      if (last && last.type === op.type && (!keepMoves || last.moveId === op.moveId)) {
+        last.text += op.text;
+        if (op.original !== undefined) last.original += op.original;
+      } else {
+        grouped.push({ ...op });
+      }
+    });
+    return grouped;
+  },
+
+  // Cuts changed runs at sentence ends so a moved sentence can be matched
+  // even when it sits next to other edits
+  _splitAtSentences(ops) {
+    const split = [];
+    ops.forEach(op => {
+      if (op.type === 'equal') {
+        split.push(op);
+        return;
+      }
+      const parts = op.text.match(/[^.!?…]+(?:[.!?…]+\s*|$)|[.!?…]+\s*/g) || [op.text];
+      parts.forEach(text => split.push({ type: op.type, text }));
+    });
+    return split;
+  },
+
+  _detectMoves(ops) {
+    const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const inserted = new Map();
+
+    ops.forEach(op => {
+      if (op.type !== 'insert') return;
+      const key = normalize(op.text);
+      if (key.split(' ').length < MIN_MOVED_WORDS) return;
+      if (!inserted.has(key)) inserted.set(key, []);
+      inserted.get(key).push(op);
+    });
+
+    let nextId = 1;
+    ops.forEach(op => {
+      if (op.type !== 'delete') return;
+      const candidates = inserted.get(normalize(op.text));
+      const target = candidates && candidates.find(c => !c.moveId);
+      if (target) {
+        op.moveId = nextId;
+        target.moveId = nextId;
+        nextId++;
+      }
+    });
+  }
+};
@@ -0,0 +1,131 @@
+// ============================================================================
+// LECTURA FÁCIL
+// Rewrite prompt and checklist for easy-to-read texts following the UNE
+// 153101 EX guidelines. The checks are heuristics: they point at what to
+// review, they do not certify a text as Lectura Fácil.
+// ============================================================================
+
+const EASY_READ_STANDARD = 'UNE 153101 EX';
+
+// Words that open a subordinate clause. Interrogatives carry an accent (qué,
+// dónde) and are left out, as are "si", "cuando" and "porque", which the
+// guidelines accept in short sentences.
+const SUBORDINATE_MARKERS = new Set([
+  'que', 'cual', 'cuales', 'cuyo', 'cuya', 'cuyos', 'cuyas', 'donde', 'aunque', 'mientras',
+  'quien', 'quienes'
+]);
+
+// "tiene que", "hay que": obligation, not a subordinate clause
+const OBLIGATION_VERBS = new Set([
+  'hay', 'habrá', 'había', 'tengo', 'tienes', 'tiene', 'tenemos', 'tenéis', 'tienen', 'tendrá',
+  'tendrás', 'tendrán', 'tendremos', 'tenía', 'tenían', 'tener', 'teniendo'
+]);
+
+// Numbers written as words ("un", "una" are articles more often than numbers)
+const EASY_READ_NUMBER_WORDS = new Set([
+  'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez', 'once', 'doce',
+  'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve', 'veinte',
+  'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'treinta', 'cuarenta',
+  'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa', 'cien', 'ciento', 'doscientos',
+  'trescientos', 'quinientos', 'mil', 'millón', 'millones'
+]);
+
+// Endings of abstract nouns ("tramitación", "responsabilidad", "procedimiento")
+const ABSTRACT_SUFFIX = /(?:ción|sión|idad|miento|ncia|ismo|eza|itud)$/u;
+const ABSTRACT_MIN_LETTERS = 10;
+
+// Ways to explain a word right after it: "padrón (lista de...)", "padrón:
+// ...", "El padrón es la lista...", "padrón significa..."
+const DEFINITION_AFTER = /^\s*(?:\(|:|,?\s*(?:(?:es|son) (?:un|una|unos|unas|el|la|los|las|lo)|significan?|quieren? decir|consiste en)\s)/u;
+
+// Examples shown per failed check
+const EASY_READ_EXAMPLES = 3;
+
+const EasyRead = {
+  // Replaces the clear-language system prompt in Lectura Fácil mode
+  systemPrompt(rules = DEFAULT_RULES) {
+    return `Eres un experto en adaptación de textos a Lectura Fácil según la norma ${EASY_READ_STANDARD}.
+
+PAUTAS:
+1. Una sola idea por oración
+2. Oraciones cortas: ${rules.maxSentenceWords} palabras como máximo
+3. Sin oraciones subordinadas: oraciones simples, en voz activa y en presente siempre que sea posible
+4. Cada oración en una línea distinta
+5. Números siempre en cifras (3, no «tres»), sin números romanos
+6. Sin porcentajes ni cifras difíciles: usa comparaciones («1 de cada 4 personas»)
+7. Sin conceptos abstractos, metáforas ni palabras en otros idiomas
+8. Palabras sencillas y de uso frecuente; la misma palabra para la misma cosa en todo el texto
+9. Si necesitas una palabra difícil, explícala justo después («El padrón es la lista de vecinos de un municipio.»)
+10. Trato directo y respetuoso al lector
+11. Elimina lo que no sea necesario, pero conserva plazos, fechas, importes y requisitos
+
+Adapta el texto siguiendo estas pautas.`;
+  },
+
+  /**
+   * Checklist of the guidelines for a text. Returns
+   * [{ id, criterion, passed, count, examples }], where count is the number
+   * of sentences, lines or words that break the guideline.
+   */
+  check(text, rules = DEFAULT_RULES) {
+    const sentences = Tokenizer.sentences(text);
+    const words = Tokenizer.words(text).filter(word => word.type === 'word');
+    // An abstract or hard word is fine once the text explains it
+    const defined = this._definedWords(text, words);
+    const item = (id, criterion, found) => ({
+      id,
+      criterion,
+      passed: found.length === 0,
+      count: found.length,
+      examples: [...new Set(found)].slice(0, EASY_READ_EXAMPLES)
+    });
+
+    return [
+      item('short_sentences', I18n.t('easyReadShortSentences', rules.maxSentenceWords),
+        sentences.filter(s => Tokenizer.wordCount(s.text) > rules.maxSentenceWords).map(s => s.text)),
+      item('one_idea', I18n.t('easyReadOneIdea'),
+        sentences.filter(s => this._ideaCount(s.text) > 1).map(s => s.text)),
+      item('no_subordinates', I18n.t('easyReadNoSubordinates'),
+        sentences.filter(s => this._subordinates(s.text).length > 0).map(s => s.text)),
+      item('one_sentence_per_line', I18n.t('easyReadOneSentencePerLine'),
+        text.split('\n').map(line => line.trim()).filter(line => Tokenizer.sentences(line).length > 1)),
+      item('digits', I18n.t('easyReadDigits'),
+        words.filter(word => this._isNumberWord(word.text)).map(word => word.text)),
+      item('no_percentages', I18n.t('easyReadNoPercentages'),
+        [...text.matchAll(/\d+(?:[.,]\d+)?\s*%|\bpor ciento\b|\bporcentajes?\b/giu)].map(match => match[0])),
+      item('no_abstract', I18n.t('easyReadNoAbstract'),
+        words.map(word => word.text.toLowerCase()).filter(word => this._isAbstract(word) && !defined.has(word))),
+      item('definitions', I18n.t('easyReadDefinitions'),
+        words.map(word => word.text.toLowerCase())
+          .filter(word => word.replace(/[^\p{L}]/gu, '').length >= rules.complexWordLength && !defined.has(word)))
+    ];
+  },
+
+  // Clauses joined by a semicolon, or by two or more commas and conjunctions
+  _ideaCount(sentence) {
+    if (/;/.test(sentence)) return 2;
+    const joiners = (sentence.match(/,|\s(?:y|e|o|u|ni|pero|sino)\s/giu) || []).length;
+    return joiners >= 2 ? 2 : 1;
+  },
+
+  _subordinates(sentence) {
+    const words = Tokenizer.words(sentence).map(word => word.text.toLowerCase());
+    return words.filter((word, idx) => SUBORDINATE_MARKERS.has(word) &&
+      !(word === 'que' && OBLIGATION_VERBS.has(words[idx - 1])));
+  },
+
+  _isNumberWord(word) {
+    return EASY_READ_NUMBER_WORDS.has(word.toLowerCase()) || /^[IVXLC]{2,}$/.test(word);
+  },
+
+  _isAbstract(word) {
+    return word.length >= ABSTRACT_MIN_LETTERS && ABSTRACT_SUFFIX.test(word);
+  },
+
+  // Lowercase words explained right after at least one of their occurrences
+  _definedWords(text, words) {
+    return new Set(words
+      .filter(word => DEFINITION_AFTER.test(text.slice(word.end, word.end + 40)))
+      .map(word => word.text.toLowerCase()));
+  }
+};
@@ -0,0 +1,91 @@
+// ============================================================================
+// PAGE EXTRACTION
+// Readable text and metadata of an HTML document. Used by the content script
+// on the live page and by the site audit on fetched pages.
+// ============================================================================
+
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, td, th, blockquote, figcaption, dd, dt';
+
+// Elements that don't contain meaningful content
+const NON_CONTENT_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'svg',
+  'nav', 'footer', 'header',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+  '.cookie-banner', '.cookie-consent',
+  '#cookie-banner', '#cookie-consent'
+];
+
+const MAIN_CONTENT_SELECTOR = 'main, article, [role="main"], .content, .post-content, .entry-content, .article-body';
+
+const PageExtractor = {
+  /**
+   * Extracts the text of a body element, paragraph by paragraph. The element
+   * is modified (non-content elements are removed), so pass a clone or a
+   * parsed document. Returns { text, blocks: [{ id, text }] } where id is the
+   * block's data-aclarador-block attribute, or null.
+   */
+  extractText(body) {
+    NON_CONTENT_SELECTORS.forEach(selector => {
+      body.querySelectorAll(selector).forEach(el => el.remove());
+    });
+
+    // Try to find the main content area first
+    const source = body.querySelector(MAIN_CONTENT_SELECTOR) || body;
+
+    // Extract text, preserving paragraph structure
+    const elements = source.querySelectorAll(BLOCK_SELECTOR);
+    const blocks = [];
+    let text = '';
+
+    if (elements.length > 0) {
+      const seen = new Map();
+      elements.forEach(block => {
+        const blockText = this.blockText(block);
+        // Only blocks without nested blocks can be safely replaced later
+        const id = block.querySelector(BLOCK_SELECTOR) ? null : block.getAttribute('data-aclarador-block');
+
+        if (blockText && !seen.has(blockText)) {
+          const entry = { id, text: blockText };
+          seen.set(blockText, entry);
+          blocks.push(entry);
+          text += blockText + '\n\n';
+        } else if (blockText && seen.get(blockText).id === null) {
+          // Same text as its wrapper (e.g. <li><p>), keep the inner element
+          seen.get(blockText).id = id;
+        }
+      });
+    }
+
+    // Fallback: use innerText if block extraction yielded little
+    if (text.trim().length < 100) {
+      text = source.innerText || source.textContent || '';
+      blocks.length = 0;
+    }
+
+    return { text: this.cleanWhitespace(text), blocks };
+  },
+
+  metadata(doc, url) {
+    const title = doc.title || '';
+    const metaDescription = doc.querySelector('meta[name="description"]')?.content || '';
+    const metaKeywords = doc.querySelector('meta[name="keywords"]')?.content || '';
+    const lang = doc.documentElement.lang || '';
+    const h1 = doc.querySelector('h1')?.textContent?.trim() || '';
+
+    return { title, metaDescription, metaKeywords, lang, url, h1 };
+  },
+
+  // Text of a block as the browser renders it: line breaks in the HTML source
+  // are only spaces inside a paragraph and must not end a sentence
+  blockText(block) {
+    return block.textContent.replace(/\s+/g, ' ').trim();
+  },
+
+  cleanWhitespace(text) {
+    return text
+      .replace(/\t/g, ' ')
+      .replace(/ {2,}/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+};
@@ -0,0 +1,16 @@
+// ============================================================================
+// HASH
+// SHA-256 digests of texts, used to tell whether a page changed between
+// analyses and to key cached results.
+// ============================================================================
+
+const TextHash = {
+  /**
+   * Hex SHA-256 of a string (UTF-8).
+   */
+  async sha256(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+};
@@ -0,0 +1,161 @@
+// ============================================================================
+// HISTORY
+// Past analyses in chrome.storage.local. A small summary of every run (URL,
+// time, scores, issue counts, text hash) is kept for trends; the full result,
+// needed to reopen a run, only for the most recent ones.
+// ============================================================================
+
+const HISTORY_KEY = 'analysisHistory';
+const HISTORY_RESULT_PREFIX = 'historyResult:';
+
+// Summaries are a few hundred bytes; full results can take hundreds of KB
+const HISTORY_MAX_ENTRIES = 1000;
+const HISTORY_MAX_RESULTS = 30;
+
+const AnalysisHistory = {
+  // Read-modify-write operations on the summaries, run one at a time
+  _queue: Promise.resolve(),
+
+  /**
+   * Stores a finished analysis. options: { scope: 'page'|'selection' }
+   * Returns the summary entry:
+   * { id, url, title, timestamp, scope, audience, textHash, words, severity, scores: { original, improved },
+   *   issues: { style, grammar, lexicon, preservation, total }, hasResult }
+   */
+  async record(result, options = {}) {
+    const metadata = result.metadata || {};
+    const original = result.scores?.original || {};
+    const timestamp = Date.now();
+
+    const entry = {
+      id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      url: this.normalizeUrl(metadata.url),
+      title: metadata.title || '',
+      timestamp,
+      scope: options.scope || 'page',
+      audience: result.audience?.id || null,
+      textHash: await TextHash.sha256(result.originalText || ''),
+      words: Tokenizer.wordCount(result.originalText || ''),
+      severity: result.analysis?.severity || null,
+      scores: {
+        original: this._scoreSummary(result.scores?.original),
+        improved: this._scoreSummary(result.scores?.improved)
+      },
+      issues: {
+        style: original.styleIssues || 0,
+        grammar: original.grammarIssues || 0,
+        lexicon: original.lexiconIssues || 0,
+        preservation: result.preservation ? result.preservation.issues.length : 0,
+        total: (result.improvements || []).length
+      },
+      hasResult: true
+    };
+
+    await this._serialize(async () => {
+      const entries = await this.list();
+      entries.unshift(entry);
+      entries.splice(HISTORY_MAX_ENTRIES);
+
+      // Drop the full results of older runs, keeping their summaries
+      const expired = entries.filter(e => e.hasResult).slice(HISTORY_MAX_RESULTS);
+      expired.forEach(e => { e.hasResult = false; });
+
+      await chrome.storage.local.set({ [HISTORY_KEY]: entries, [HISTORY_RESULT_PREFIX + entry.id]: result });
+      if (expired.length > 0) {
+        await chrome.storage.local.remove(expired.map(e => HISTORY_RESULT_PREFIX + e.id));
+      }
+    });
+
+    return entry;
+  },
+
+  // Summaries, newest first
+  async list() {
+    const data = await chrome.storage.local.get(HISTORY_KEY);
+    return data[HISTORY_KEY] || [];
+  },
+
+  /**
+   * Groups the summaries by URL, most recently analyzed page first.
+   * Returns [{ url, title, runs (oldest first) }]
+   */
+  async pages() {
+    const byUrl = new Map();
+    (await this.list()).forEach(entry => {
+      const key = entry.url || entry.title;
+      if (!byUrl.has(key)) byUrl.set(key, { url: entry.url, title: entry.title, runs: [] });
+      byUrl.get(key).runs.unshift(entry);
+    });
+    return [...byUrl.values()];
+  },
+
+  async loadResult(id) {
+    const key = HISTORY_RESULT_PREFIX + id;
+    const data = await chrome.storage.local.get(key);
+    return data[key] || null;
+  },
+
+  async clear() {
+    await this._serialize(async () => {
+      const entries = await this.list();
+      await chrome.storage.local.remove([HISTORY_KEY, ...entries.map(e => HISTORY_RESULT_PREFIX + e.id)]);
+    });
+  },
+
+  /**
+   * Change of the published text's scores across whole-page runs (oldest first).
+   * Returns { runs, quality: [...], readability: [...], qualityChange, readabilityChange }
+   * with null changes when there are fewer than two runs to compare.
+   */
+  trend(runs) {
+    const pageRuns = runs.filter(run => run.scope === 'page');
+    const quality = pageRuns.map(run => run.scores.original?.qualityScore ?? null);
+    const readability = pageRuns.map(run => run.scores.original?.inflesz ?? null);
+    const change = values => {
+      const known = values.filter(value => value !== null);
+      return known.length >= 2 ? known[known.length - 1] - known[0] : null;
+    };
+
+    return {
+      runs: pageRuns,
+      quality,
+      readability,
+      qualityChange: change(quality),
+      readabilityChange: change(readability)
+    };
+  },
+
+  // Runs of the same page share a key regardless of the #fragment
+  normalizeUrl(url) {
+    if (!url) return '';
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  },
+
+  _scoreSummary(scores) {
+    if (!scores) return null;
+    return {
+      qualityScore: scores.qualityScore,
+      readabilityScore: scores.readabilityScore,
+      inflesz: scores.inflesz
+    };
+  },
+
+  // The popup and the service worker both record runs. The queue orders the
+  // writes of one page; the Web Lock, shared by all the extension's pages and
+  // its worker, orders them across pages.
+  _serialize(operation) {
+    const locks = globalThis.navigator?.locks;
+    const run = this._queue.then(() => locks
+      ? locks.request(HISTORY_KEY, operation)
+      : operation());
+    // A failed write must not block the ones queued after it
+    this._queue = run.catch(() => {});
+    return run;
+  }
+};
@@ -0,0 +1,62 @@
+// ============================================================================
+// I18N
+// Interface strings from _locales through chrome.i18n. The interface follows
+// the browser language (Spanish, Catalan or English), independently of the
+// language of the analyzed page. Prompts sent to the model stay in Spanish.
+// ============================================================================
+
+// [attribute, dataset key of its data-i18n-* marker]
+const I18N_ATTRIBUTES = [
+  ['placeholder', 'i18nPlaceholder'],
+  ['title', 'i18nTitle'],
+  ['aria-label', 'i18nAriaLabel']
+];
+
+const I18n = {
+  /**
+   * Message for a key, with its $PLACEHOLDERS$ filled in order. Returns the
+   * key itself when the message does not exist, so a missing translation
+   * is visible instead of blank.
+   */
+  t(key, ...substitutions) {
+    const message = chrome.i18n.getMessage(key, substitutions.map(String));
+    return message || key;
+  },
+
+  /**
+   * Singular or plural form: keyOne / keyOther, with the count as the first
+   * substitution.
+   */
+  plural(key, count, ...substitutions) {
+    return this.t(`${key}${count === 1 ? 'One' : 'Other'}`, count, ...substitutions);
+  },
+
+  /**
+   * BCP 47 tag of the interface locale, for dates and the lang attribute.
+   */
+  locale() {
+    return this.t('locale');
+  },
+
+  /**
+   * Fill the marked elements of a page:
+   *   data-i18n             text content
+   *   data-i18n-placeholder placeholder attribute
+   *   data-i18n-title       title attribute
+   *   data-i18n-aria-label  aria-label attribute
+   * The Spanish text in the HTML stays as the fallback.
+   */
+  localize(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    I18N_ATTRIBUTES.forEach(([attribute, dataKey]) => {
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+        element.setAttribute(attribute, this.t(element.dataset[dataKey]));
+      });
+    });
+    if (root.documentElement) {
+      root.documentElement.lang = this.locale();
+    }
+  }
+};
@@ -0,0 +1,209 @@
+// ============================================================================
+// LANGUAGES
+// Languages the analysis supports and detection of the language of a text:
+// the page's lang attribute when it has one, otherwise a guess from the most
+// frequent function words. Each module keeps its own data per language code
+// (abbreviations, syllables, passives, grammar rules, lexicon); this file
+// only decides which code applies.
+// ============================================================================
+
+const DEFAULT_LANGUAGE = 'es';
+
+const LANGUAGES = {
+  es: {
+    label: I18n.t('languageSpanish'),
+    // As it appears in the (Spanish) prompts: "escribe en español"
+    name: 'español',
+    instructions: [],
+    // Checks that work with reduced accuracy or not at all
+    limitations: [],
+    // Frequent words that the other languages do not share
+    markers: [
+      'los', 'las', 'para', 'más', 'este', 'esta', 'estos', 'estas', 'también', 'hay', 'muy',
+      'usted', 'cuando', 'desde', 'todos', 'todas', 'está', 'están', 'sus', 'pueden', 'debe'
+    ]
+  },
+  ca: {
+    label: I18n.t('languageCatalan'),
+    name: 'catalán',
+    instructions: [
+      'Sigue la normativa del Institut d\'Estudis Catalans y respeta la variedad dialectal del original.',
+      'Mantén el tratamiento del lector (vostè o tu) que use el texto original.'
+    ],
+    limitations: [
+      I18n.t('languageNoteCatalanReadability'),
+      I18n.t('languageNoteNoGrammar', I18n.t('languageCatalan'))
+    ],
+    markers: [
+      'els', 'dels', 'als', 'i', 'amb', 'per', 'però', 'més', 'aquest', 'aquesta', 'aquests',
+      'també', 'molt', 'hi', 'quan', 'sense', 'pot', 'poden', 'tots', 'vostè', 'és', 'són', 'pel'
+    ]
+  },
+  an: {
+    label: I18n.t('languageAragonese'),
+    name: 'aragonés',
+    instructions: [
+      'Conserva la grafía del aragonés que use el texto original; no la cambies por otra norma ortográfica.',
+      'No sustituyas palabras aragonesas por sus equivalentes en castellano.'
+    ],
+    limitations: [
+      I18n.t('languageNoteSpanishReadability'),
+      I18n.t('languageNoteAragoneseLexicon')
+    ],
+    // Not the articles o/os/as, nor muito, agora or isto (Portuguese and
+    // Galician), dende (Galician) or fer (Catalan)
+    markers: [
+      'ye', 'yeran', 'yera', 'ta', 'pa', 'tamién', 'bi', 'ixo', 'ixe', 'ixa', 'ixos', 'ixas',
+      'iste', 'ista', 'istos', 'istas', 'dimpués', 'dica', 'mos', 'lis',
+      'd\'o', 'd\'a', 'd\'os', 'd\'as'
+    ]
+  },
+  en: {
+    label: I18n.t('languageEnglish'),
+    name: 'inglés',
+    instructions: [
+      'Sigue las pautas de plain English: voz activa, palabras cotidianas y «you» para dirigirte al lector.',
+      'Mantén la ortografía británica o estadounidense del texto original.'
+    ],
+    limitations: [
+      I18n.t('languageNoteNoGrammar', I18n.t('languageEnglish'))
+    ],
+    markers: [
+      'the', 'and', 'of', 'to', 'is', 'are', 'for', 'with', 'that', 'this', 'be', 'you', 'your',
+      'it', 'on', 'by', 'not', 'from', 'have', 'has', 'will', 'can', 'which', 'their', 'we', 'our'
+    ]
+  }
+};
+
+// Languages the detector recognizes but the analysis does not support, so
+// the warning can name them instead of falling back to Spanish
+const OTHER_LANGUAGES = {
+  fr: {
+    label: I18n.t('languageFrench'),
+    name: 'francés',
+    markers: ['le', 'des', 'et', 'est', 'sont', 'pour', 'avec', 'dans', 'pas', 'qui', 'du', 'au', 'aux', 'vous', 'nous', 'ce', 'cette', 'être', 'il', 'elle', 'une']
+  },
+  pt: {
+    label: I18n.t('languagePortuguese'),
+    name: 'portugués',
+    markers: ['do', 'da', 'dos', 'das', 'é', 'são', 'não', 'uma', 'em', 'na', 'pelo', 'pela', 'você', 'também', 'ao', 'mais', 'ou', 'com']
+  },
+  gl: {
+    label: I18n.t('languageGalician'),
+    name: 'gallego',
+    markers: ['unha', 'unhas', 'tamén', 'hai', 'xa', 'ata', 'polo', 'pola', 'coa', 'moi', 'máis', 'cando', 'teñen', 'xunto', 'dúas', 'fóra', 'poden', 'facer', 'dende', 'aínda']
+  },
+  it: {
+    label: I18n.t('languageItalian'),
+    name: 'italiano',
+    markers: ['il', 'gli', 'di', 'è', 'sono', 'non', 'che', 'della', 'nel', 'nella', 'anche', 'più', 'questo', 'questa', 'degli', 'alla', 'delle', 'dei', 'essere']
+  },
+  de: {
+    label: I18n.t('languageGerman'),
+    name: 'alemán',
+    markers: ['der', 'die', 'das', 'und', 'ist', 'sind', 'für', 'mit', 'ein', 'eine', 'nicht', 'zu', 'von', 'den', 'dem', 'im', 'auf', 'sie', 'wir', 'auch', 'werden', 'wird', 'sich', 'oder']
+  },
+  eu: {
+    label: I18n.t('languageBasque'),
+    name: 'euskera',
+    markers: ['eta', 'da', 'dira', 'ez', 'bat', 'hau', 'hori', 'ere', 'edo', 'baina', 'du', 'dute', 'izan', 'egin', 'beste', 'behar', 'gisa', 'bere', 'dago', 'daude']
+  }
+};
+
+// ISO 639-2 codes some sites use in lang
+const LANGUAGE_ALIASES = { spa: 'es', cat: 'ca', arg: 'an', eng: 'en', fra: 'fr', fre: 'fr', por: 'pt', glg: 'gl', ita: 'it', deu: 'de', ger: 'de', eus: 'eu', baq: 'eu' };
+
+// The guess needs this many marker words and this lead over the runner-up
+const DETECTION_MIN_MARKERS = 3;
+const DETECTION_MARGIN = 1.5;
+// Words of the text looked at by the guess
+const DETECTION_WORDS = 2000;
+
+const Languages = {
+  /**
+   * { code, label, name, supported, instructions, limitations } for a code.
+   * label is for the interface, name (in Spanish) for the prompts. Unknown
+   * codes are unsupported and keep the code as both.
+   */
+  get(code) {
+    if (LANGUAGES[code]) return { code, supported: true, ...LANGUAGES[code] };
+    const { label = code, name = code } = OTHER_LANGUAGES[code] || {};
+    return { code, label, name, supported: false, instructions: [], limitations: [] };
+  },
+
+  // Primary subtag of a lang attribute: "es-ES" → "es", "ca-ES-valencia" → "ca"
+  normalize(tag = '') {
+    const primary = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+    if (!/^[a-z]{2,3}$/.test(primary)) return '';
+    return LANGUAGE_ALIASES[primary] || primary;
+  },
+
+  /**
+   * Code of the language the text looks written in, or null when the text is
+   * too short or too mixed to tell.
+   */
+  guess(text) {
+    const words = Tokenizer.words(text)
+      .filter(word => word.type === 'word')
+      .slice(0, DETECTION_WORDS)
+      .map(word => word.text.toLowerCase().replace(/’/g, '\''));
+    const scores = Object.entries({ ...LANGUAGES, ...OTHER_LANGUAGES }).map(([code, language]) => {
+      const markers = new Set(language.markers);
+      return { code, hits: words.filter(word => markers.has(word)).length };
+    }).sort((a, b) => b.hits - a.hits);
+
+    const [best, second] = scores;
+    if (best.hits < DETECTION_MIN_MARKERS || best.hits < second.hits * DETECTION_MARGIN) return null;
+    return best.code;
+  },
+
+  /**
+   * Language to analyze a text in. tag is the page's lang attribute (or a
+   * code) and wins over the guess; without either the text is treated as
+   * Spanish. Returns { code, label, supported, source: 'lang'|'text'|'default',
+   * declared, warnings, notes }: warnings question the choice itself, notes
+   * list what the analysis of a supported language lacks.
+   */
+  detect(text, tag = '') {
+    const declared = this.normalize(tag);
+    const guessed = this.guess(text);
+    const code = declared || guessed || DEFAULT_LANGUAGE;
+    const language = this.get(code);
+    const source = declared ? 'lang' : guessed ? 'text' : 'default';
+    const warnings = [];
+
+    if (!language.supported) {
+      warnings.push(I18n.t('languageWarningUnsupported', language.label));
+    }
+    if (source === 'default') {
+      warnings.push(I18n.t('languageWarningUndetected'));
+    }
+    if (declared && guessed && guessed !== declared) {
+      warnings.push(I18n.t('languageWarningMismatch', tag, this.get(guessed).label));
+    }
+    return {
+      code,
+      label: language.label,
+      supported: language.supported,
+      source,
+      declared: tag || '',
+      warnings,
+      notes: [...language.limitations]
+    };
+  },
+
+  // The rule settings tagged with the language the checks should follow
+  rules(rules, language) {
+    return { ...rules, language: language.code };
+  },
+
+  // Section of the rewrite prompt that fixes the language of the answer.
+  // Empty for Spanish, the language the prompts are written for.
+  prompt(code = DEFAULT_LANGUAGE) {
+    if (code === DEFAULT_LANGUAGE) return '';
+    const language = this.get(code);
+    const target = language.supported ? language.name : `el mismo idioma que el texto original (código «${code}»)`;
+    return `\n\nIDIOMA: Escribe la versión mejorada en ${target}. No la traduzcas.
+${language.instructions.map(instruction => `- ${instruction}`).join('\n')}`.trimEnd();
+  }
+};
@@ -0,0 +1,291 @@
+// ============================================================================
+// PASSIVE VOICE
+// Detects Spanish periphrastic passives ("ser" + participle, any tense, with
+// number agreement) and reflexive passives ("se aprobó la norma"), and the
+// periphrastic passives of Catalan and English. Other languages get none.
+// ============================================================================
+
+const SER_SINGULAR = new Set([
+  'soy', 'eres', 'es', 'era', 'eras', 'fui', 'fuiste', 'fue', 'seré', 'serás', 'será',
+  'sería', 'serías', 'sea', 'seas', 'fuera', 'fueras', 'fuese', 'fueses'
+]);
+
+const SER_PLURAL = new Set([
+  'somos', 'sois', 'son', 'éramos', 'erais', 'eran', 'fuimos', 'fuisteis', 'fueron',
+  'seremos', 'seréis', 'serán', 'seríamos', 'seríais', 'serían', 'seamos', 'seáis', 'sean',
+  'fuéramos', 'fuerais', 'fueran', 'fuésemos', 'fueseis', 'fuesen'
+]);
+
+// Non-finite forms take their number from the auxiliary before them
+const SER_NONFINITE = new Set(['ser', 'sido', 'siendo']);
+
+const AUXILIARY_SINGULAR = new Set([
+  'he', 'has', 'ha', 'había', 'habías', 'habrá', 'habrás', 'habría', 'habrías', 'haya', 'hayas',
+  'hubiera', 'hubiese', 'hubo', 'debe', 'deberá', 'debería', 'puede', 'podrá', 'podría',
+  'va', 'iba', 'tiene', 'tendrá', 'suele', 'necesita'
+]);
+
+const AUXILIARY_PLURAL = new Set([
+  'hemos', 'habéis', 'han', 'habíamos', 'habían', 'habremos', 'habrán', 'habríamos', 'habrían',
+  'hayamos', 'hayan', 'hubieran', 'hubiesen', 'hubimos', 'hubieron', 'deben', 'deberán',
+  'deberían', 'pueden', 'podrán', 'podrían', 'van', 'iban', 'tienen', 'tendrán', 'suelen', 'necesitan'
+]);
+
+// Words that may sit between "ser" and the participle
+const PASSIVE_ADVERBS = new Set([
+  'ya', 'también', 'no', 'siempre', 'nunca', 'así', 'más', 'muy', 'bien', 'mal', 'luego', 'aún', 'todavía'
+]);
+
+const IRREGULAR_PARTICIPLE_STEMS = [
+  'escrit', 'hech', 'dich', 'puest', 'vist', 'abiert', 'resuelt', 'vuelt', 'cubiert', 'impres',
+  'provist', 'rot', 'muert', 'suscrit', 'inscrit', 'prescrit', 'descrit', 'transcrit', 'dispuest',
+  'propuest', 'impuest', 'compuest', 'expuest', 'supuest', 'interpuest', 'repuest', 'pospuest',
+  'satisfech', 'deshech', 'devuelt', 'envuelt', 'absuelt', 'previst', 'revist', 'electo', 'elect'
+];
+
+// -ado/-ido words that are nouns or adjectives rather than passive participles
+const PARTICIPLE_EXCEPTIONS = new Set([
+  'adecuado', 'apropiado', 'complicado', 'delicado', 'privado', 'sagrado', 'moderado', 'educado',
+  'cansado', 'ocupado', 'preocupado', 'desesperado', 'encantado', 'parecido', 'divertido',
+  'aburrido', 'atrevido', 'interesado', 'acostumbrado', 'equivocado', 'enfadado', 'enamorado',
+  'resultado', 'estado', 'lado', 'grado', 'mercado', 'abogado', 'soldado', 'cuidado', 'partido',
+  'sentido', 'contenido', 'vestido', 'ruido', 'apellido', 'marido', 'significado', 'jurado',
+  'senado', 'pasado', 'empleado', 'diputado', 'licenciado', 'graduado', 'delegado', 'dado'
+]);
+
+const DETERMINERS = {
+  el: 'ms', la: 'fs', los: 'mp', las: 'fp', un: 'ms', una: 'fs', unos: 'mp', unas: 'fp',
+  este: 'ms', esta: 'fs', estos: 'mp', estas: 'fp', dicho: 'ms', dicha: 'fs', dichos: 'mp', dichas: 'fp'
+};
+
+// Words after "se" + verb that mark a subject: determiners and quantifiers
+const SUBJECT_STARTERS = new Set([
+  ...Object.keys(DETERMINERS), 'su', 'sus', 'todo', 'toda', 'todos', 'todas', 'cualquier',
+  'ningún', 'ninguna', 'varios', 'varias', 'nuevos', 'nuevas', 'diversos', 'diversas', 'mucho',
+  'mucha', 'muchos', 'muchas', 'algún', 'alguna', 'algunos', 'algunas', 'otro', 'otra', 'otros', 'otras'
+]);
+
+// Third-person "haber" of the compound tenses: "se han publicado las listas"
+const HABER_SINGULAR = new Set(['ha', 'había', 'habrá', 'habría', 'haya', 'hubiera', 'hubiese', 'hubo']);
+const HABER_PLURAL = new Set(['han', 'habían', 'habrán', 'habrían', 'hayan', 'hubieran', 'hubiesen', 'hubieron']);
+
+// Body parts and clothing: after "se" + verb they are the object of a
+// reflexive verb ("se lava las manos"), not the subject of a passive
+const BODY_NOUNS = new Set([
+  'mano', 'manos', 'cara', 'pelo', 'cabello', 'cabeza', 'ojos', 'ojo', 'boca', 'nariz', 'dientes',
+  'uñas', 'pie', 'pies', 'pierna', 'piernas', 'brazo', 'brazos', 'dedo', 'dedos', 'espalda', 'cuerpo',
+  'ropa', 'chaqueta', 'abrigo', 'camisa', 'zapatos', 'gafas', 'sombrero', 'guantes'
+]);
+
+const MODALS_SINGULAR = new Set(['puede', 'podrá', 'podría', 'debe', 'deberá', 'debería', 'tendrá', 'suele']);
+const MODALS_PLURAL = new Set(['pueden', 'podrán', 'podrían', 'deben', 'deberán', 'deberían', 'tendrán', 'suelen']);
+
+// Pronominal verbs whose "se" is not a passive marker (se trata, se refiere...)
+const PRONOMINAL_STEMS = [
+  'trat', 'refier', 'refer', 'llam', 'sient', 'sint', 'sent', 'qued', 'encarg', 'bas', 'compon',
+  'compus', 'conviert', 'convirt', 'ubic', 'sitú', 'situ', 'hall', 'dedic', 'quej', 'reún', 'reun',
+  'atrev', 'acuerd', 'acord', 'compromet', 'dirig', 'march', 'encuentr', 'encontr', 'muev',
+  'preocup', 'olvid', 'vuelv', 'volv', 'pon', 'pus', 'produc', 'produj'
+];
+
+const THIRD_PERSON_ENDINGS = /(?:a|an|e|en|ó|aron|ieron|ará|arán|erá|erán|irá|irán|aba|aban|ía|ían|aría|arían|ería|erían|iría|irían|ase|asen|ara|aran|iera|ieran|iese|iesen)$/u;
+
+// Catalan and English: a form of "ser" / "to be", up to two adverbs, and a
+// participle. `agent` introduces the complement of the agent.
+const PASSIVE_LANGUAGES = {
+  ca: {
+    auxiliaries: new Set([
+      'és', 'són', 'era', 'eren', 'fou', 'foren', 'serà', 'seran', 'seria', 'serien', 'sigui',
+      'siguin', 'fos', 'fossin', 'ser', 'estat', 'estada', 'estats', 'estades'
+    ]),
+    adverbs: new Set(['ja', 'també', 'no', 'sempre', 'mai', 'més', 'molt', 'ben', 'encara']),
+    participle: /^(?:\p{L}{2,}(?:at|ada|ats|ades|it|ida|its|ides|ut|uda|uts|udes)|fet|feta|fets|fetes|dit|dita|dits|dites|escrit|escrita|escrits|escrites|obert|oberta|oberts|obertes|pres|presa|presos|preses|vist|vista|vists|vistes|mort|morta)$/u,
+    exceptions: new Set([
+      'adequat', 'adequada', 'adequats', 'adequades', 'privat', 'privada', 'estat', 'estada', 'resultat',
+      'ciutat', 'qualitat', 'unitat', 'entitat', 'societat', 'activitat', 'vida', 'sortida', 'entrada',
+      'partida', 'mida', 'durada', 'jornada', 'convocada', 'necessitat', 'possibilitat'
+    ]),
+    agent: 'per'
+  },
+  en: {
+    auxiliaries: new Set(['am', 'is', 'are', 'was', 'were', 'be', 'been', 'being']),
+    // "is being reviewed", "was not approved"
+    adverbs: new Set(['not', 'also', 'already', 'always', 'never', 'usually', 'often', 'now', 'still', 'then', 'being', 'been']),
+    participle: /^(?:\p{L}{2,}ed|done|made|given|taken|written|seen|known|shown|paid|sent|held|built|sold|told|found|kept|left|set|put|chosen|drawn|brought|bought|thought|taught|caught|spent|meant|lost|won|read|run|begun|broken|driven|eaten|forgotten|hidden|spoken|stolen|sworn|thrown|worn|born|borne|understood|withdrawn|undertaken)$/u,
+    exceptions: new Set([
+      'interested', 'concerned', 'pleased', 'tired', 'excited', 'worried', 'married', 'supposed',
+      'hundred', 'indeed', 'need', 'seed', 'speed', 'feed', 'breed', 'naked', 'wicked', 'sacred',
+      'beloved', 'aged', 'based', 'related', 'limited', 'red', 'bed', 'shed', 'used'
+    ]),
+    agent: 'by'
+  }
+};
+
+const PassiveVoice = {
+  /**
+   * Finds passive constructions in a text.
+   * Returns [{ type: 'passive_voice', kind: 'perifrastica'|'refleja', text, start, end,
+   *            sentence, sentenceText, sentenceStart, sentenceEnd, hasAgent }]
+   * with offsets into the text and 1-based sentence numbers. language is a
+   * code of lib/languages.js.
+   */
+  detect(text, language = DEFAULT_LANGUAGE) {
+    const found = [];
+    const config = PASSIVE_LANGUAGES[language];
+    if (language !== 'es' && !config) return found;
+    const agentWord = config ? config.agent : 'por';
+
+    Tokenizer.sentences(text, language).forEach((sentence, idx) => {
+      const words = Tokenizer.words(sentence.text).filter(w => w.type === 'word');
+      const lower = words.map(w => w.text.toLowerCase());
+
+      const add = (kind, from, to) => {
+        const start = sentence.start + words[from].start;
+        const end = sentence.start + words[to].end;
+        found.push({
+          type: 'passive_voice',
+          kind,
+          text: text.slice(start, end),
+          start,
+          end,
+          sentence: idx + 1,
+          sentenceText: sentence.text,
+          sentenceStart: sentence.start,
+          sentenceEnd: sentence.end,
+          hasAgent: lower.slice(to + 1).includes(agentWord)
+        });
+      };
+
+      for (let i = 0; i < lower.length; i++) {
+        if (config) {
+          const to = this._matchAuxiliaryPassive(lower, i, config);
+          if (to !== null) {
+            add('perifrastica', i, to);
+            i = to;
+          }
+          continue;
+        }
+
+        const periphrastic = this._matchPeriphrastic(lower, i);
+        if (periphrastic) {
+          add('perifrastica', periphrastic.from, periphrastic.to);
+          i = periphrastic.to;
+          continue;
+        }
+        const reflexive = this._matchReflexive(lower, i);
+        if (reflexive !== null) {
+          add('refleja', i, reflexive);
+          i = reflexive;
+        }
+      }
+    });
+
+    return found;
+  },
+
+  // "ser" (any tense) + optional adverbs + participle agreeing in number.
+  // Returns { from, to } word indexes, auxiliary included, or null.
+  _matchPeriphrastic(words, i) {
+    const ser = words[i];
+    let number;
+    let from = i;
+    if (SER_SINGULAR.has(ser)) number = 'singular';
+    else if (SER_PLURAL.has(ser)) number = 'plural';
+    else if (SER_NONFINITE.has(ser)) {
+      const auxiliary = this._auxiliary(words, i);
+      if (auxiliary) {
+        number = auxiliary.number;
+        from = auxiliary.index;
+      }
+    } else return null;
+
+    let j = i + 1;
+    while (j < words.length && j <= i + 2 && (PASSIVE_ADVERBS.has(words[j]) || words[j].endsWith('mente'))) j++;
+
+    const participle = this._participle(words[j]);
+    if (!participle) return null;
+    if (number && participle.number !== number) return null;
+
+    // "det + noun + ser": the subject must agree with the participle too
+    const det = DETERMINERS[words[from - 2]];
+    if (det && (det[0] !== participle.gender || (det[1] === 'p') !== (participle.number === 'plural'))) {
+      return null;
+    }
+
+    return { from, to: j };
+  },
+
+  // Catalan and English: auxiliary + optional adverbs + participle. Returns
+  // the index of the participle, or null.
+  _matchAuxiliaryPassive(words, i, config) {
+    if (!config.auxiliaries.has(words[i])) return null;
+
+    let j = i + 1;
+    while (j < words.length && j <= i + 2 && (config.adverbs.has(words[j]) || /(?:ly|ment)$/.test(words[j]))) j++;
+
+    const word = words[j];
+    if (!word || config.exceptions.has(word) || !config.participle.test(word)) return null;
+    return j;
+  },
+
+  // "se" + third-person verb + subject, "se" + modal + infinitive + subject,
+  // or "se" + haber + participle + subject.
+  // Returns the index of the last verb, or null.
+  _matchReflexive(words, i) {
+    if (words[i] !== 'se' || i + 1 >= words.length) return null;
+
+    const verb = words[i + 1];
+    let last = i + 1;
+    let plural = verb.endsWith('n');
+
+    if (MODALS_SINGULAR.has(verb) || MODALS_PLURAL.has(verb)) {
+      if (!/(?:ar|er|ir)$/.test(words[i + 2] || '')) return null;
+      plural = MODALS_PLURAL.has(verb);
+      last = i + 2;
+    } else if (HABER_SINGULAR.has(verb) || HABER_PLURAL.has(verb)) {
+      const participle = words[i + 2] || '';
+      if (!/(?:ado|ido)$/.test(participle)) return null;
+      if (PRONOMINAL_STEMS.some(stem => participle.startsWith(stem))) return null;
+      plural = HABER_PLURAL.has(verb);
+      last = i + 2;
+    } else {
+      if (verb.length < 4 || !THIRD_PERSON_ENDINGS.test(verb)) return null;
+      if (PRONOMINAL_STEMS.some(stem => verb.startsWith(stem))) return null;
+    }
+
+    const next = words[last + 1];
+    if (DETERMINERS[next] && BODY_NOUNS.has(words[last + 2])) return null;
+    const hasSubjectAfter = next && (SUBJECT_STARTERS.has(next) || (plural && /s$/.test(next) && next.length > 3));
+    const previous = words[i - 1];
+    const hasSubjectBefore = plural && previous && /s$/.test(previous) && !['nos', 'les', 'los', 'las'].includes(previous);
+
+    return hasSubjectAfter || hasSubjectBefore ? last : null;
+  },
+
+  // Nearest haber/modal before a non-finite "ser": "han sido", "deben ser", "va a ser"
+  _auxiliary(words, i) {
+    for (let k = i - 1; k >= Math.max(0, i - 3); k--) {
+      if (AUXILIARY_SINGULAR.has(words[k])) return { number: 'singular', index: k };
+      if (AUXILIARY_PLURAL.has(words[k])) return { number: 'plural', index: k };
+    }
+    return null;
+  },
+
+  _participle(word) {
+    if (!word || PARTICIPLE_EXCEPTIONS.has(word.replace(/(?:a|os|as)$/, 'o'))) return null;
+
+    // Short stems are mostly nouns: nada, cada, vida
+    const regular = word.match(/^(\p{L}{2,}?)(?:ad|id|íd)(o|a|os|as)$/u);
+    const irregular = IRREGULAR_PARTICIPLE_STEMS
+      .map(stem => word.match(new RegExp(`^\\p{L}*${stem}(o|a|os|as)$`, 'u')))
+      .find(m => m);
+    const match = regular || irregular;
+    if (!match) return null;
+
+    const ending = match[match.length - 1];
+    return {
+      gender: ending.startsWith('a') ? 'f' : 'm',
+      number: ending.endsWith('s') ? 'plural' : 'singular'
+    };
+  }
+};
@@ -0,0 +1,434 @@
+// ============================================================================
+// LLM PROVIDERS
+// Any endpoint that speaks the OpenAI chat-completions protocol: hosted APIs
+// (Groq, OpenAI) and self-hosted servers (Ollama, llama.cpp, vLLM...).
+// ============================================================================
+
+const LLM_PROVIDERS = {
+  groq: {
+    label: 'Groq',
+    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+    model: 'llama-3.3-70b-versatile',
+    requiresApiKey: true,
+    responseFormat: 'json_object'
+  },
+  openai: {
+    label: 'OpenAI',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-4o-mini',
+    requiresApiKey: true,
+    responseFormat: 'json_schema'
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    endpoint: 'http://localhost:11434/v1/chat/completions',
+    model: 'llama3.1',
+    requiresApiKey: false,
+    responseFormat: 'json_schema',
+    // Local models on modest hardware can take minutes per answer
+    timeout: 300000
+  },
+  llamacpp: {
+    label: 'llama.cpp (local)',
+    endpoint: 'http://localhost:8080/v1/chat/completions',
+    model: 'local',
+    requiresApiKey: false,
+    responseFormat: 'json_schema',
+    timeout: 300000
+  },
+  custom: {
+    label: I18n.t('providerCustom'),
+    endpoint: '',
+    model: '',
+    requiresApiKey: false,
+    responseFormat: 'json_object'
+  }
+};
+
+// Per request, unless the preset sets its own
+const LLM_REQUEST_TIMEOUT_MS = 60000;
+
+// Rate limits (429) and server errors (5xx) are retried with exponential
+// backoff, or after the delay of a Retry-After header. A longer Retry-After
+// than LLM_MAX_RETRY_DELAY_MS fails at once instead of leaving the popup
+// waiting.
+const LLM_MAX_RETRIES = 3;
+const LLM_RETRY_BASE_MS = 1000;
+const LLM_MAX_RETRY_DELAY_MS = 30000;
+const LLM_RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+const CONTEXT_LENGTH_PATTERN = /context[_ ]length|context window|maximum context|too many tokens|too long|reduce the length/i;
+
+const DEFAULT_LLM_SETTINGS = {
+  provider: 'groq',
+  endpoint: LLM_PROVIDERS.groq.endpoint,
+  model: LLM_PROVIDERS.groq.model,
+  temperature: 0.3,
+  maxTokens: 2000
+};
+
+// API keys are stored per provider ({ groq: '…', openai: '…' }) so a key is
+// only sent to the provider it was entered for. apiKey and groqApiKey are the
+// single key of earlier versions.
+const LLM_KEY_STORAGE = ['apiKeys', 'apiKey', 'groqApiKey'];
+
+/**
+ * { provider id: key } from the stored settings. The single key of earlier
+ * versions belongs to the hosted provider selected then, or to Groq.
+ */
+function storedApiKeys(stored = {}) {
+  const legacyKey = stored.apiKey || stored.groqApiKey;
+  const legacyProvider = LLM_PROVIDERS[stored.llmSettings?.provider]?.requiresApiKey
+    ? stored.llmSettings.provider
+    : DEFAULT_LLM_SETTINGS.provider;
+  return { ...(legacyKey ? { [legacyProvider]: legacyKey } : {}), ...stored.apiKeys };
+}
+
+// Analysis settings saved by the popup, for the entry points that run
+// without it (context menu, inline rewrites, site audit)
+const AgentSettings = {
+  /**
+   * AgentCoordinator options from storage: provider and its key, lexicon,
+   * audience, protected terms, section size and rules. Callers add their
+   * own cache and signal.
+   */
+  async load() {
+    const settings = await chrome.storage.local.get([
+      ...LLM_KEY_STORAGE, 'charLimit', 'llmSettings', 'customLexicon', 'audience', 'protectedTerms'
+    ]);
+    const llm = { ...DEFAULT_LLM_SETTINGS, ...settings.llmSettings };
+    return {
+      apiKey: storedApiKeys(settings)[llm.provider] || '',
+      llm,
+      customLexicon: settings.customLexicon || [],
+      audience: settings.audience || DEFAULT_AUDIENCE,
+      protectedTerms: settings.protectedTerms || [],
+      sectionChars: settings.charLimit || DEFAULT_SECTION_CHARS,
+      rules: await RuleSettings.load()
+    };
+  }
+};
+
+/**
+ * A failed request, with a message that can be shown to the user as is.
+ * code: 'missing_key' | 'invalid_key' | 'rate_limit' | 'context_length' |
+ *       'not_found' | 'server' | 'timeout' | 'network' | 'stream' |
+ *       'bad_response' | 'request'
+ */
+class LlmProviderError extends Error {
+  constructor(code, message, status = null) {
+    super(message);
+    this.name = 'LlmProviderError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// What the pipeline throws when the user cancels; same as an aborted fetch
+function cancelledError() {
+  return new DOMException(I18n.t('analysisCancelled'), 'AbortError');
+}
+
+class ChatCompletionProvider {
+  constructor(settings = {}) {
+    const id = settings.provider || DEFAULT_LLM_SETTINGS.provider;
+    const preset = LLM_PROVIDERS[id] || LLM_PROVIDERS.custom;
+
+    this.id = id;
+    this.label = preset.label;
+    this.endpoint = settings.endpoint || preset.endpoint;
+    this.model = settings.model || preset.model;
+    this.temperature = Number.isFinite(settings.temperature) ? settings.temperature : DEFAULT_LLM_SETTINGS.temperature;
+    this.maxTokens = Number.isFinite(settings.maxTokens) ? settings.maxTokens : DEFAULT_LLM_SETTINGS.maxTokens;
+    this.apiKey = settings.apiKey || '';
+    this.requiresApiKey = preset.requiresApiKey;
+    this.responseFormat = preset.responseFormat;
+    this.timeout = settings.timeout || preset.timeout || LLM_REQUEST_TIMEOUT_MS;
+  }
+
+  /**
+   * Sends a chat-completions request and returns the assistant's message text.
+   * With options.schema the model is asked for JSON output, constrained by the
+   * schema where the server supports it; servers that reject response_format
+   * are retried once without it. options.signal cancels the request, including
+   * any wait before a retry.
+   * With options.onText the answer is streamed (server-sent events) and
+   * onText(textSoFar) is called as it grows; a stream that breaks off before
+   * the end throws an LlmProviderError with code 'stream'.
+   * Failures throw an LlmProviderError; cancelling throws an AbortError.
+   */
+  async complete(messages, options = {}) {
+    if (!this.endpoint) {
+      throw new Error(I18n.t('providerErrorMissingEndpoint'));
+    }
+    if (!this.model) {
+      throw new Error(I18n.t('providerErrorMissingModel'));
+    }
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new LlmProviderError('missing_key', I18n.t('providerErrorMissingKey', this.label));
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const body = {
+      model: this.model,
+      messages,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens
+    };
+    if (options.schema) {
+      body.response_format = this._responseFormat(options.schema, options.schemaName);
+    }
+    if (options.onText) {
+      body.stream = true;
+    }
+
+    let response = await this._send(headers, body, options.signal);
+
+    if (!response.ok && response.status === 400 && body.response_format) {
+      const errorBody = await response.text().catch(() => '');
+      if (!/response_format|json_schema|json_object/i.test(errorBody)) {
+        throw this._httpError(response, errorBody);
+      }
+      delete body.response_format;
+      response = await this._send(headers, body, options.signal);
+    }
+
+    if (!response.ok) {
+      throw this._httpError(response, await response.text().catch(() => ''));
+    }
+
+    // Servers without streaming support answer with plain JSON instead
+    if (body.stream && response.body && /event-stream/i.test(response.headers.get('content-type') || '')) {
+      return this._readStream(response, options.onText, options.signal);
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      if (options.signal?.aborted) throw cancelledError();
+      throw new LlmProviderError('bad_response', I18n.t('providerErrorNotJson'));
+    }
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new LlmProviderError('bad_response', I18n.t('providerErrorUnexpectedResponse'));
+    }
+    return content;
+  }
+
+  // Posts the request, retrying network failures, rate limits and server
+  // errors. Returns the last response; HTTP errors are left to the caller.
+  async _send(headers, body, signal) {
+    for (let attempt = 0; ; attempt++) {
+      let delay;
+      try {
+        const response = await this._post(headers, body, signal);
+        if (!LLM_RETRY_STATUSES.includes(response.status) || attempt >= LLM_MAX_RETRIES) {
+          return response;
+        }
+        const retryAfter = this._retryAfter(response);
+        if (retryAfter !== null && retryAfter > LLM_MAX_RETRY_DELAY_MS) {
+          return response;
+        }
+        delay = retryAfter ?? this._backoff(attempt);
+      } catch (error) {
+        // A timed-out request is not repeated: it would most likely time out again
+        if (error.code !== 'network' || attempt >= LLM_MAX_RETRIES) throw error;
+        delay = this._backoff(attempt);
+      }
+      await this._wait(delay, signal);
+    }
+  }
+
+  async _post(headers, body, signal) {
+    if (signal?.aborted) throw cancelledError();
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+
+    try {
+      return await fetch(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (signal?.aborted) throw cancelledError();
+      if (controller.signal.aborted) {
+        throw new LlmProviderError('timeout',
+          I18n.t('providerErrorTimeout', Math.round(this.timeout / 1000)));
+      }
+      throw new LlmProviderError('network', this.id === 'ollama' || this.id === 'llamacpp'
+        ? I18n.t('providerErrorLocalNetwork', this.endpoint)
+        : I18n.t('providerErrorNetwork'));
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  // Reads the chat-completion chunks of an SSE response. The timeout applies
+  // to the wait for each chunk, not to the whole answer.
+  async _readStream(response, onText, signal) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let finished = false;
+    let stalled = false;
+    let timer;
+
+    const stop = () => reader.cancel().catch(() => {});
+    signal?.addEventListener('abort', stop);
+
+    const handleLine = line => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') {
+        finished = true;
+        return;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(payload);
+      } catch (error) {
+        return;
+      }
+      if (chunk.error) {
+        throw new LlmProviderError('request', I18n.t('providerErrorStreamError', chunk.error.message || chunk.error));
+      }
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        content += choice.delta.content;
+        onText(content);
+      }
+      if (choice?.finish_reason) finished = true;
+    };
+
+    try {
+      while (true) {
+        timer = setTimeout(() => {
+          stalled = true;
+          stop();
+        }, this.timeout);
+
+        let result;
+        try {
+          result = await reader.read();
+        } catch (error) {
+          result = { done: true };
+        }
+        clearTimeout(timer);
+
+        if (signal?.aborted) throw cancelledError();
+        if (result.done) break;
+
+        buffer += decoder.decode(result.value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => handleLine(line.trim()));
+      }
+      handleLine(buffer.trim());
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', stop);
+      if (!finished) stop();
+    }
+
+    if (!finished) {
+      throw new LlmProviderError('stream', stalled
+        ? I18n.t('providerErrorStalled', Math.round(this.timeout / 1000))
+        : I18n.t('providerErrorStreamCut'));
+    }
+    return content;
+  }
+
+  _wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(cancelledError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // 1 s, 2 s, 4 s... with a little jitter so parallel requests spread out
+  _backoff(attempt) {
+    return LLM_RETRY_BASE_MS * 2 ** attempt + Math.random() * 250;
+  }
+
+  // Retry-After in milliseconds (delay-seconds or HTTP date), or null
+  _retryAfter(response) {
+    const value = response.headers?.get('retry-after');
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) return parseFloat(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  _httpError(response, errorBody) {
+    const status = response.status;
+    let detail = errorBody;
+    try {
+      detail = JSON.parse(errorBody).error?.message || errorBody;
+    } catch (e) {
+      // Not JSON: keep the raw body
+    }
+
+    if (status === 401 || status === 403) {
+      return new LlmProviderError('invalid_key',
+        I18n.t('providerErrorInvalidKey', this.label), status);
+    }
+    if (status === 413 || CONTEXT_LENGTH_PATTERN.test(detail)) {
+      return new LlmProviderError('context_length',
+        I18n.t('providerErrorContextLength'), status);
+    }
+    if (status === 429) {
+      const retryAfter = this._retryAfter(response);
+      const wait = retryAfter
+        ? I18n.t('providerErrorRetryIn', Math.ceil(retryAfter / 60000))
+        : I18n.t('providerErrorRetryLater');
+      return new LlmProviderError('rate_limit',
+        I18n.t('providerErrorRateLimit', this.label, wait), status);
+    }
+    if (status === 404) {
+      return new LlmProviderError('not_found',
+        I18n.t('providerErrorNotFound', this.model), status);
+    }
+    if (status >= 500) {
+      return new LlmProviderError('server',
+        I18n.t('providerErrorServer', this.label, status), status);
+    }
+    const summary = String(detail).replace(/\s+/g, ' ').trim().slice(0, 200);
+    return new LlmProviderError('request',
+      summary ? I18n.t('providerErrorRequestDetail', status, summary) : I18n.t('providerErrorRequest', status), status);
+  }
+
+  _responseFormat(schema, name = 'response') {
+    if (this.responseFormat === 'json_schema') {
+      return { type: 'json_schema', json_schema: { name, strict: true, schema } };
+    }
+    return { type: 'json_object' };
+  }
+
+  describe() {
+    return { provider: this.id, endpoint: this.endpoint, model: this.model };
+  }
+}
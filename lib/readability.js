@@ -0,0 +1,242 @@
+// ============================================================================
+// READABILITY
+// Syllable counters and readability formulas per language: the Spanish
+// formulas (Fernández-Huerta, Szigriszt-Pazos with the INFLESZ scale and
+// Gutiérrez de Polini) for Spanish, Aragonese and Catalan, and Flesch for
+// English.
+// ============================================================================
+
+const STRONG_VOWELS = 'aeoáéó';
+const ACCENTED_WEAK_VOWELS = 'íú';
+const VOWELS = 'aeiouáéíóúü';
+
+const READABILITY_INDICES = {
+  fernandezHuerta: {
+    label: 'Fernández-Huerta',
+    bands: [
+      [30, I18n.t('readabilityBandVeryDifficult')],
+      [50, I18n.t('readabilityBandDifficult')],
+      [60, I18n.t('readabilityBandFairlyDifficult')],
+      [70, I18n.t('readabilityBandNormal')],
+      [80, I18n.t('readabilityBandFairlyEasy')],
+      [90, I18n.t('readabilityBandEasy')],
+      [Infinity, I18n.t('readabilityBandVeryEasy')]
+    ]
+  },
+  szigrisztPazos: {
+    label: 'Szigriszt-Pazos (INFLESZ)',
+    // Name on the score card when it is the main index
+    short: 'INFLESZ',
+    bands: [
+      [40, I18n.t('readabilityBandVeryDifficult')],
+      [55, I18n.t('readabilityBandSomewhatDifficult')],
+      [65, I18n.t('readabilityBandNormal')],
+      [80, I18n.t('readabilityBandFairlyEasy')],
+      [Infinity, I18n.t('readabilityBandVeryEasy')]
+    ]
+  },
+  gutierrezPolini: {
+    label: 'Gutiérrez de Polini',
+    bands: [
+      [20, I18n.t('readabilityBandVeryDifficult')],
+      [40, I18n.t('readabilityBandDifficult')],
+      [60, I18n.t('readabilityBandNormal')],
+      [80, I18n.t('readabilityBandEasy')],
+      [Infinity, I18n.t('readabilityBandVeryEasy')]
+    ]
+  },
+  fleschReadingEase: {
+    label: 'Flesch Reading Ease',
+    short: 'Flesch',
+    bands: [
+      [30, I18n.t('readabilityBandVeryDifficult')],
+      [50, I18n.t('readabilityBandDifficult')],
+      [60, I18n.t('readabilityBandFairlyDifficult')],
+      [70, I18n.t('readabilityBandNormal')],
+      [80, I18n.t('readabilityBandFairlyEasy')],
+      [90, I18n.t('readabilityBandEasy')],
+      [Infinity, I18n.t('readabilityBandVeryEasy')]
+    ]
+  },
+  // A school grade: lower is easier
+  fleschKincaid: {
+    label: I18n.t('readabilityFleschKincaid'),
+    bands: [
+      [6, I18n.t('readabilityBandVeryEasy')],
+      [8, I18n.t('readabilityBandEasy')],
+      [10, I18n.t('readabilityBandNormal')],
+      [13, I18n.t('readabilityBandDifficult')],
+      [Infinity, I18n.t('readabilityBandVeryDifficult')]
+    ]
+  }
+};
+
+// Indices computed for each language and the 0-100 ease index the scores
+// use (the "inflesz" score of lib/agents.js). Catalan and Aragonese have no
+// formulas of their own; the Spanish ones are the usual approximation.
+const READABILITY_LANGUAGES = {
+  es: { syllables: 'syllables', indices: ['fernandezHuerta', 'szigrisztPazos', 'gutierrezPolini'], primary: 'szigrisztPazos' },
+  an: { syllables: 'syllables', indices: ['fernandezHuerta', 'szigrisztPazos', 'gutierrezPolini'], primary: 'szigrisztPazos' },
+  ca: { syllables: 'catalanSyllables', indices: ['fernandezHuerta', 'szigrisztPazos', 'gutierrezPolini'], primary: 'szigrisztPazos' },
+  en: { syllables: 'englishSyllables', indices: ['fleschReadingEase', 'fleschKincaid'], primary: 'fleschReadingEase' }
+};
+
+const Readability = {
+  /**
+   * Counts the syllables of a Spanish word by counting vowel nuclei:
+   * diphthongs and triphthongs are one nucleus, hiatus are two.
+   */
+  syllables(word) {
+    let w = word.toLowerCase().replace(/[^a-záéíóúüñy]/g, '');
+    if (!w) return 0;
+
+    w = w
+      // Silent u in que, qui, gue, gui
+      .replace(/([qg])u(?=[eéií])/g, '$1')
+      // y before a vowel is a consonant; elsewhere (hoy, rey, y) a vowel
+      .replace(/y(?=[aeiouáéíóú])/g, 'j')
+      .replace(/y/g, 'i');
+
+    let count = 0;
+    let previous = null;
+
+    for (const ch of w) {
+      if (!VOWELS.includes(ch)) {
+        previous = null;
+        continue;
+      }
+      if (previous === null || this._isHiatus(previous, ch)) {
+        count++;
+      }
+      previous = ch;
+    }
+
+    return Math.max(1, count);
+  },
+
+  /**
+   * Catalan syllables. Unlike Spanish, only falling diphthongs (ai, eu,
+   * iu...) share a nucleus: "història" has four syllables, "ciutat" two.
+   * i/u with a diaeresis always start a new one (veïna).
+   */
+  catalanSyllables(word) {
+    const w = word.toLowerCase()
+      .replace(/[^a-zàèéíïòóúüç]/g, '')
+      // Silent u in que, qui, gue, gui; a glide in qua, güe, qüi
+      .replace(/([qg])u(?=[eéèií])/g, '$1')
+      .replace(/([qg])[uü](?=[aàeéèiíoòó])/g, '$1w');
+    if (!w) return 0;
+
+    let count = 0;
+    let previous = null;
+    let glide = false;
+
+    for (const ch of w) {
+      if (!'aàeèéiíïoòóuúü'.includes(ch)) {
+        previous = null;
+        continue;
+      }
+      if (previous !== null && 'iu'.includes(ch) && !glide) {
+        glide = true;
+      } else {
+        count++;
+        glide = false;
+      }
+      previous = ch;
+    }
+
+    return Math.max(1, count);
+  },
+
+  // English syllables by vowel groups, without the silent final e
+  englishSyllables(word) {
+    let w = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!w) return 0;
+    if (w.length <= 3) return 1;
+
+    w = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+    return Math.max(1, (w.match(/[aeiouy]{1,2}/g) || []).length);
+  },
+
+  /**
+   * Sentence, word, syllable and letter counts. Numbers, URLs and e-mails
+   * are left out of the word counts since they have no syllables to count.
+   */
+  stats(text, language = DEFAULT_LANGUAGE) {
+    const words = Tokenizer.words(text).filter(w => w.type === 'word');
+    const counter = (READABILITY_LANGUAGES[language] || READABILITY_LANGUAGES[DEFAULT_LANGUAGE]).syllables;
+    return {
+      sentences: Tokenizer.sentences(text, language).length,
+      words: words.length,
+      syllables: words.reduce((sum, w) => sum + this[counter](w.text), 0),
+      letters: words.reduce((sum, w) => sum + w.text.replace(/[^\p{L}]/gu, '').length, 0)
+    };
+  },
+
+  // L = 206.84 - 0.60 P - 1.02 F (P: syllables per 100 words, F: words per
+  // sentence, as in the Flesch formula it adapts)
+  fernandezHuerta(stats) {
+    const p = (stats.syllables / stats.words) * 100;
+    const f = stats.words / stats.sentences;
+    return 206.84 - 0.60 * p - 1.02 * f;
+  },
+
+  // P = 206.835 - 62.3 (syllables / words) - (words / sentences)
+  szigrisztPazos(stats) {
+    return 206.835 - 62.3 * (stats.syllables / stats.words) - (stats.words / stats.sentences);
+  },
+
+  // CP = 95.2 - 9.7 (letters / words) - 0.35 (words / sentences)
+  gutierrezPolini(stats) {
+    return 95.2 - 9.7 * (stats.letters / stats.words) - 0.35 * (stats.words / stats.sentences);
+  },
+
+  // RE = 206.835 - 1.015 (words / sentences) - 84.6 (syllables / words)
+  fleschReadingEase(stats) {
+    return 206.835 - 1.015 * (stats.words / stats.sentences) - 84.6 * (stats.syllables / stats.words);
+  },
+
+  // Grade = 0.39 (words / sentences) + 11.8 (syllables / words) - 15.59
+  fleschKincaid(stats) {
+    return 0.39 * (stats.words / stats.sentences) + 11.8 * (stats.syllables / stats.words) - 15.59;
+  },
+
+  /**
+   * Computes the indices of the language for a text, each with its
+   * interpretation band, plus { language, primary } naming the language and
+   * its main index. Returns null when the text has no words to measure or
+   * the language has no formulas.
+   */
+  analyze(text, language = DEFAULT_LANGUAGE) {
+    const formulas = READABILITY_LANGUAGES[language];
+    if (!formulas) return null;
+    const stats = this.stats(text, language);
+    if (stats.words === 0 || stats.sentences === 0) return null;
+
+    const result = { stats, language, primary: formulas.primary };
+    formulas.indices.forEach(key => {
+      const value = this[key](stats);
+      result[key] = {
+        label: READABILITY_INDICES[key].label,
+        value: parseFloat(value.toFixed(1)),
+        band: this.band(key, value)
+      };
+    });
+    return result;
+  },
+
+  band(index, value) {
+    const bands = READABILITY_INDICES[index].bands;
+    return bands.find(([limit]) => value < limit)[1];
+  },
+
+  _isHiatus(a, b) {
+    const strongA = STRONG_VOWELS.includes(a);
+    const strongB = STRONG_VOWELS.includes(b);
+    if (strongA && strongB) return true;
+    // An accented i/u next to a strong vowel breaks the diphthong: país, río
+    if ((ACCENTED_WEAK_VOWELS.includes(a) && strongB) || (strongA && ACCENTED_WEAK_VOWELS.includes(b))) return true;
+    // Two equal weak vowels: chiita
+    return a === b;
+  }
+};
@@ -0,0 +1,366 @@
+// ============================================================================
+// REPORT
+// Builds a versioned report from an analysis result and renders it as JSON,
+// Markdown or a standalone HTML document, which is also the printable (PDF)
+// version.
+// ============================================================================
+
+const REPORT_FORMAT = 'aclarador-report';
+
+// Bump when a field of the JSON report is renamed, removed or changes its
+// meaning. New fields keep the version.
+const REPORT_VERSION = 1;
+
+const SEVERITY_LABELS = { high: I18n.t('severityHigh'), medium: I18n.t('severityMedium'), low: I18n.t('severityLow') };
+
+const REPORT_SCORE_ROWS = [
+  ['qualityScore', I18n.t('reportQuality'), value => `${Math.round(value * 100)}%`],
+  // Labeled with the main index of the language in _scoreRows
+  ['inflesz', I18n.t('reportReadability'), value => value.toFixed(1)],
+  ['styleIssues', I18n.t('reportStyleIssues'), String],
+  ['grammarIssues', I18n.t('reportGrammarIssues'), String],
+  ['lexiconIssues', I18n.t('reportLexiconIssues'), String]
+];
+
+const Report = {
+  /**
+   * Collects everything a report shows from an AgentCoordinator result.
+   * options: { scope: 'page'|'selection', extensionVersion, now }
+   */
+  build(result, options = {}) {
+    const metadata = result.metadata || {};
+    const preservation = result.preservation;
+
+    return {
+      format: REPORT_FORMAT,
+      version: REPORT_VERSION,
+      generatedAt: (options.now || new Date()).toISOString(),
+      generator: { name: 'Aclarador', version: options.extensionVersion || null },
+      scope: options.scope || 'page',
+      page: {
+        title: metadata.title || '',
+        url: metadata.url || '',
+        lang: metadata.lang || '',
+        h1: metadata.h1 || '',
+        metaDescription: metadata.metaDescription || '',
+        metaKeywords: metadata.metaKeywords || ''
+      },
+      model: result.rewriting?.model || null,
+      audience: result.audience || null,
+      // Language the text was analyzed in (lib/languages.js)
+      language: result.language
+        ? {
+          code: result.language.code,
+          label: result.language.label,
+          source: result.language.source,
+          warnings: result.language.warnings,
+          notes: result.language.notes
+        }
+        : null,
+      scores: {
+        severity: result.analysis?.severity || null,
+        original: result.scores?.original || null,
+        improved: result.scores?.improved || null
+      },
+      readability: {
+        // Results saved before other languages were supported are Spanish
+        primary: result.readability?.original?.primary || result.readability?.improved?.primary || 'szigrisztPazos',
+        original: this._indices(result.readability?.original),
+        improved: this._indices(result.readability?.improved)
+      },
+      text: {
+        original: result.originalText || '',
+        improved: result.finalText || ''
+      },
+      improvements: (result.improvements || [])
+        .filter(imp => imp.type !== 'seo')
+        .map(imp => ({
+          type: imp.type || 'general',
+          principle: imp.principle || null,
+          label: imp.type === 'rewrite' ? CLEAR_LANGUAGE_PRINCIPLES[imp.principle] : (imp.type || 'general'),
+          description: imp.change || imp.issue || imp.recommendation || '',
+          recommendation: imp.change || imp.issue ? imp.recommendation || null : null,
+          reason: imp.reason || null,
+          original: imp.original ?? null,
+          replacement: imp.replacement ?? null
+        })),
+      preservation: preservation
+        ? {
+          preserved: preservation.preserved,
+          checked: preservation.checked,
+          issues: preservation.issues.map(issue => ({
+            category: issue.category,
+            status: issue.status,
+            text: issue.text,
+            candidates: issue.candidates,
+            description: issue.issue
+          }))
+        }
+        : null,
+      compliance: (result.validation?.compliance || [])
+        .map(check => ({ criterion: check.criterion, passed: check.passed })),
+      // Lectura Fácil checklist, null outside that mode
+      easyRead: result.validation?.easyRead
+        ? {
+          standard: EASY_READ_STANDARD,
+          checks: result.validation.easyRead.map(check => ({
+            id: check.id,
+            criterion: check.criterion,
+            passed: check.passed,
+            count: check.count,
+            examples: check.examples
+          }))
+        }
+        : null,
+      seo: (result.seo?.seoRecommendations || [])
+        .map(rec => ({ element: rec.element || null, recommendation: rec.recommendation, reason: rec.reason || null }))
+    };
+  },
+
+  toJSON(report) {
+    return JSON.stringify(report, null, 2);
+  },
+
+  toMarkdown(report) {
+    const lines = [];
+    const quote = text => text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+    const cell = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+    lines.push(`# ${I18n.t('reportTitleWithPage', report.page.title || I18n.t('untitled'))}`, '');
+    this._details(report).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+    lines.push('');
+
+    const languageNotes = this._languageNotes(report);
+    if (languageNotes.length > 0) {
+      lines.push(`## ${I18n.t('reportLanguage')}`, '');
+      languageNotes.forEach(note => lines.push(`- ${note}`));
+      lines.push('');
+    }
+
+    lines.push(`## ${I18n.t('reportScores')}`, '', `| ${this._tableHeaders(I18n.t('reportIndicator')).join(' | ')} |`, '| --- | --- | --- |');
+    this._scoreRows(report).forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+    lines.push('');
+
+    const readability = this._readabilityRows(report);
+    if (readability.length > 0) {
+      lines.push(`## ${I18n.t('reportReadabilityIndices')}`, '', `| ${this._tableHeaders(I18n.t('reportIndex')).join(' | ')} |`, '| --- | --- | --- |');
+      readability.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+      lines.push('');
+    }
+
+    if (report.preservation && report.preservation.issues.length > 0) {
+      lines.push(`## ${I18n.t('reportChangedData')}`, '');
+      report.preservation.issues.forEach(issue => lines.push(`- ${issue.description}`));
+      lines.push('');
+    }
+
+    lines.push(`## ${I18n.t('reportOriginalText')}`, '', quote(report.text.original), '');
+    lines.push(`## ${I18n.t('reportImprovedText')}`, '', quote(report.text.improved), '');
+
+    lines.push(`## ${I18n.t('reportImprovements')}`, '');
+    if (report.improvements.length === 0) lines.push(I18n.t('noSignificantIssues'));
+    report.improvements.forEach(imp => {
+      lines.push(`- **${imp.label}:** ${imp.description}`);
+      if (imp.recommendation) lines.push(`  - ${imp.recommendation}`);
+      if (imp.reason) lines.push(`  - ${imp.reason}`);
+    });
+    lines.push('');
+
+    lines.push(`## ${I18n.t('reportCompliance')}`, '');
+    report.compliance.forEach(check => lines.push(`- [${check.passed ? 'x' : ' '}] ${check.criterion}`));
+    lines.push('');
+
+    if (report.easyRead) {
+      lines.push(`## ${I18n.t('reportEasyRead', report.easyRead.standard)}`, '');
+      report.easyRead.checks.forEach(check => {
+        lines.push(`- [${check.passed ? 'x' : ' '}] ${check.criterion}`);
+        if (!check.passed) lines.push(`  - ${this._easyReadDetail(check)}`);
+      });
+      lines.push('');
+    }
+
+    if (report.seo.length > 0) {
+      lines.push(`## ${I18n.t('reportSeo')}`, '');
+      report.seo.forEach(rec => lines.push(`- ${rec.recommendation}${rec.reason ? ` (${rec.reason})` : ''}`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  },
+
+  // Standalone document with its own styles, readable offline and printable
+  toHTML(report) {
+    const e = this._escape;
+    const table = (headers, rows) => `
+      <table>
+        <thead><tr>${headers.map(h => `<th>${e(h)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(row => `<tr>${row.map(c => `<td>${e(c)}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>`;
+
+    const readability = this._readabilityRows(report);
+    const preservationIssues = report.preservation ? report.preservation.issues : [];
+    const languageNotes = this._languageNotes(report);
+
+    return `<!DOCTYPE html>
+<html lang="${e(I18n.locale())}">
+<head>
+<meta charset="UTF-8">
+<title>${e(I18n.t('reportTitle'))} · ${e(report.page.title || I18n.t('untitled'))}</title>
+<style>
+  body { max-width: 960px; margin: 0 auto; padding: 24px; font: 14px/1.5 Helvetica, Arial, sans-serif; color: #1a202c; }
+  h1 { font-size: 22px; border-bottom: 3px solid #e10b17; padding-bottom: 8px; }
+  h2 { font-size: 17px; margin-top: 28px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+  dt { font-weight: 600; }
+  dd { margin: 0; word-break: break-all; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #cbd5e0; padding: 6px 10px; text-align: left; vertical-align: top; }
+  th { background: #edf2f7; }
+  .texts { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+  .text { white-space: pre-wrap; border: 1px solid #cbd5e0; padding: 12px; }
+  .warning { border-left: 4px solid #ed8936; background: #fffaf0; padding: 8px 12px; }
+  .item { border-left: 3px solid #cbd5e0; padding: 4px 10px; margin-bottom: 8px; }
+  .item-label { font-size: 12px; font-weight: 600; text-transform: uppercase; color: #4a5568; }
+  .item-note { color: #4a5568; font-size: 13px; }
+  .passed { color: #2f855a; }
+  .failed { color: #c53030; }
+  @media print {
+    body { padding: 0; }
+    .texts { grid-template-columns: 1fr; }
+    .item, tr, .text { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>${e(I18n.t('reportTitle'))}</h1>
+<dl>${this._details(report).map(([label, value]) => `<dt>${e(label)}</dt><dd>${e(value)}</dd>`).join('')}</dl>
+${languageNotes.length > 0 ? `
+<h2>${e(I18n.t('reportLanguage'))}</h2>
+<div class="warning"><ul>${languageNotes.map(note => `<li>${e(note)}</li>`).join('')}</ul></div>` : ''}
+
+<h2>${e(I18n.t('reportScores'))}</h2>
+${table(this._tableHeaders(I18n.t('reportIndicator')), this._scoreRows(report))}
+${readability.length > 0 ? `<h2>${e(I18n.t('reportReadabilityIndices'))}</h2>${table(this._tableHeaders(I18n.t('reportIndex')), readability)}` : ''}
+${preservationIssues.length > 0 ? `
+<h2>${e(I18n.t('reportChangedData'))}</h2>
+<div class="warning"><ul>${preservationIssues.map(issue => `<li>${e(issue.description)}</li>`).join('')}</ul></div>` : ''}
+
+<h2>${e(I18n.t('reportTexts'))}</h2>
+<div class="texts">
+  <div><h3>${e(I18n.t('original'))}</h3><div class="text">${e(report.text.original)}</div></div>
+  <div><h3>${e(I18n.t('improved'))}</h3><div class="text">${e(report.text.improved)}</div></div>
+</div>
+
+<h2>${e(I18n.t('reportImprovements'))}</h2>
+${report.improvements.length === 0 ? `<p>${e(I18n.t('noSignificantIssues'))}</p>` : ''}
+${report.improvements.map(imp => `
+<div class="item">
+  <div class="item-label">${e(imp.label)}</div>
+  <div>${e(imp.description)}</div>
+  ${imp.recommendation ? `<div class="item-note">${e(imp.recommendation)}</div>` : ''}
+  ${imp.reason ? `<div class="item-note">${e(imp.reason)}</div>` : ''}
+</div>`).join('')}
+
+<h2>${e(I18n.t('reportCompliance'))}</h2>
+<ul>${report.compliance.map(check => `
+  <li class="${check.passed ? 'passed' : 'failed'}">${check.passed ? '✓' : '✗'} ${e(check.criterion)}</li>`).join('')}
+</ul>
+${report.easyRead ? `
+<h2>${e(I18n.t('reportEasyRead', report.easyRead.standard))}</h2>
+<ul>${report.easyRead.checks.map(check => `
+  <li class="${check.passed ? 'passed' : 'failed'}">${check.passed ? '✓' : '✗'} ${e(check.criterion)}${check.passed ? '' : ` <span class="item-note">(${e(this._easyReadDetail(check))})</span>`}</li>`).join('')}
+</ul>` : ''}
+${report.seo.length > 0 ? `
+<h2>${e(I18n.t('reportSeo'))}</h2>
+<ul>${report.seo.map(rec => `<li>${e(rec.recommendation)}${rec.reason ? ` <span class="item-note">(${e(rec.reason)})</span>` : ''}</li>`).join('')}</ul>` : ''}
+</body>
+</html>
+`;
+  },
+
+  // aclarador-<host>-<date>.<extension>
+  filename(report, extension) {
+    let host = 'texto';
+    try {
+      host = new URL(report.page.url).hostname.replace(/^www\./, '') || host;
+    } catch (e) {
+      // Not a URL (or none): keep the generic name
+    }
+    return `aclarador-${host}-${report.generatedAt.slice(0, 10)}.${extension}`;
+  },
+
+  _details(report) {
+    const details = [
+      [I18n.t('reportPage'), report.page.title || I18n.t('untitled')],
+      ['URL', report.page.url || '—'],
+      [I18n.t('reportScope'), report.scope === 'selection' ? I18n.t('reportScopeSelection') : I18n.t('reportScopePage')]
+    ];
+    if (report.language) {
+      details.push([I18n.t('reportLanguageLabel'), report.page.lang ? `${report.language.label} (lang="${report.page.lang}")` : report.language.label]);
+    } else if (report.page.lang) {
+      details.push([I18n.t('reportLanguageLabel'), report.page.lang]);
+    }
+    details.push([I18n.t('reportDate'), new Date(report.generatedAt).toLocaleString(I18n.locale())]);
+    if (report.model) details.push([I18n.t('reportModel'), `${report.model.model} (${report.model.provider})`]);
+    if (report.audience) details.push([I18n.t('audience'), report.audience.label]);
+    if (report.scores.severity) {
+      details.push([I18n.t('severity'), SEVERITY_LABELS[report.scores.severity] || report.scores.severity]);
+    }
+    return details;
+  },
+
+  // Warnings about the language choice, then what its analysis lacks
+  _languageNotes(report) {
+    return report.language ? [...report.language.warnings, ...report.language.notes] : [];
+  },
+
+  // "2 casos: «tres», «diez»"
+  _easyReadDetail(check) {
+    return I18n.plural('easyReadCases', check.count, check.examples.map(example => I18n.t('quoted', example)).join(', '));
+  },
+
+  // Column headers of a table that compares the original and improved texts
+  _tableHeaders(first) {
+    return [first, I18n.t('original'), I18n.t('improved')];
+  },
+
+  _scoreRows(report) {
+    const { original, improved } = report.scores;
+    const format = (scores, key, render) => scores && scores[key] !== null && scores[key] !== undefined
+      ? render(scores[key])
+      : '—';
+    const primary = READABILITY_INDICES[report.readability.primary];
+    return REPORT_SCORE_ROWS.map(([key, label, render]) => [
+      key === 'inflesz' ? `${label} (${primary.short})` : label,
+      format(original, key, render),
+      format(improved, key, render)
+    ]);
+  },
+
+  _readabilityRows(report) {
+    const { original, improved } = report.readability;
+    if (!original && !improved) return [];
+    const cell = index => index ? `${index.value.toFixed(1)} (${index.band})` : '—';
+    return Object.keys(READABILITY_INDICES).filter(key => original?.[key] || improved?.[key]).map(key => [
+      READABILITY_INDICES[key].label, cell(original?.[key]), cell(improved?.[key])
+    ]);
+  },
+
+  // Index values and bands, without the raw counts
+  _indices(analysis) {
+    if (!analysis) return null;
+    const indices = {};
+    Object.keys(READABILITY_INDICES).filter(key => analysis[key]).forEach(key => {
+      indices[key] = { value: analysis[key].value, band: analysis[key].band };
+    });
+    return indices;
+  },
+
+  _escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+};
@@ -0,0 +1,191 @@
+// ============================================================================
+// RULE SETTINGS
+// Thresholds and on/off switches for the agents, kept in chrome.storage.sync
+// so they follow the user's Chrome profile. Named profiles are snapshots of
+// the settings that can be applied again or shared as JSON files.
+// ============================================================================
+
+const RULES_FORMAT = 'aclarador-rules';
+
+// Bump when a field is renamed, removed or changes its meaning
+const RULES_VERSION = 1;
+
+const RULES_STORAGE_KEY = 'ruleSettings';
+const ACTIVE_RULE_PROFILE_KEY = 'activeRuleProfile';
+const RULE_PROFILE_PREFIX = 'ruleProfile:';
+
+const DEFAULT_RULES = {
+  // Sentences longer than this are flagged and split by the rewriter
+  maxSentenceWords: 30,
+  // Quality score: sentences inside the optimal band score best, sentences
+  // between minSentenceWords and maxSentenceWords score well
+  minSentenceWords: 10,
+  optimalSentenceMin: 15,
+  optimalSentenceMax: 25,
+  // Words with at least this many letters count as complex vocabulary
+  complexWordLength: 13,
+  // Number of analyzer issues from which the severity is medium / high
+  severityMedium: 2,
+  severityHigh: 3,
+  // Underline issues in textareas and rich-text editors while the user types
+  inlineChecks: true,
+  agents: {
+    lexicon: true,
+    rewriter: true,
+    grammar: true,
+    style: true,
+    seo: true,
+    preservation: true
+  },
+  // Check id → false to turn it off. Missing ids are on; grammar checks use
+  // the ids of GRAMMAR_RULES and OPENING_MARKS
+  checks: {}
+};
+
+const RULE_THRESHOLDS = [
+  ['maxSentenceWords', I18n.t('ruleMaxSentenceWords'), 5, 100],
+  ['minSentenceWords', I18n.t('ruleMinSentenceWords'), 1, 50],
+  ['optimalSentenceMin', I18n.t('ruleOptimalSentenceMin'), 1, 100],
+  ['optimalSentenceMax', I18n.t('ruleOptimalSentenceMax'), 1, 100],
+  ['complexWordLength', I18n.t('ruleComplexWordLength'), 6, 30],
+  ['severityMedium', I18n.t('ruleSeverityMedium'), 1, 50],
+  ['severityHigh', I18n.t('ruleSeverityHigh'), 1, 50]
+];
+
+const RULE_AGENTS = {
+  lexicon: I18n.t('agentLexicon'),
+  rewriter: I18n.t('agentRewriter'),
+  grammar: I18n.t('agentGrammar'),
+  style: I18n.t('agentStyle'),
+  seo: I18n.t('agentSeo'),
+  preservation: I18n.t('agentPreservation')
+};
+
+// Checks outside the grammar rules
+const RULE_CHECKS = {
+  long_sentences: I18n.t('checkLongSentences'),
+  passive_voice: I18n.t('checkPassiveVoice'),
+  complex_vocabulary: I18n.t('checkComplexVocabulary')
+};
+
+const RuleSettings = {
+  /**
+   * Complete, consistent settings from a partial or stored object: missing
+   * values take the defaults, numbers are clamped to the ranges of
+   * RULE_THRESHOLDS and the ranges are put in order.
+   */
+  normalize(rules = {}) {
+    const normalized = {
+      ...DEFAULT_RULES,
+      agents: { ...DEFAULT_RULES.agents },
+      checks: {}
+    };
+
+    RULE_THRESHOLDS.forEach(([key, , min, max]) => {
+      const value = Math.round(Number(rules[key]));
+      if (Number.isFinite(value)) normalized[key] = Math.min(max, Math.max(min, value));
+    });
+    if (typeof rules.inlineChecks === 'boolean') normalized.inlineChecks = rules.inlineChecks;
+    Object.keys(DEFAULT_RULES.agents).forEach(agent => {
+      if (typeof rules.agents?.[agent] === 'boolean') normalized.agents[agent] = rules.agents[agent];
+    });
+    Object.entries(rules.checks || {}).forEach(([id, enabled]) => {
+      if (enabled === false) normalized.checks[id] = false;
+    });
+
+    if (normalized.optimalSentenceMin > normalized.optimalSentenceMax) {
+      [normalized.optimalSentenceMin, normalized.optimalSentenceMax] = [normalized.optimalSentenceMax, normalized.optimalSentenceMin];
+    }
+    normalized.optimalSentenceMax = Math.min(normalized.optimalSentenceMax, normalized.maxSentenceWords);
+    normalized.optimalSentenceMin = Math.min(normalized.optimalSentenceMin, normalized.optimalSentenceMax);
+    normalized.minSentenceWords = Math.min(normalized.minSentenceWords, normalized.optimalSentenceMin);
+    normalized.severityHigh = Math.max(normalized.severityHigh, normalized.severityMedium);
+
+    return normalized;
+  },
+
+  isAgentEnabled(rules, agent) {
+    return rules.agents[agent] !== false;
+  },
+
+  isCheckEnabled(rules, id) {
+    return rules.checks[id] !== false;
+  },
+
+  // ---- Storage --------------------------------------------------------------
+
+  async load() {
+    const data = await chrome.storage.sync.get(RULES_STORAGE_KEY);
+    return this.normalize(data[RULES_STORAGE_KEY]);
+  },
+
+  /**
+   * Stores the settings the agents use. profileName records which profile
+   * they came from ('' once they are edited by hand).
+   */
+  async save(rules, profileName = '') {
+    await chrome.storage.sync.set({
+      [RULES_STORAGE_KEY]: this.normalize(rules),
+      [ACTIVE_RULE_PROFILE_KEY]: profileName
+    });
+  },
+
+  async activeProfile() {
+    const data = await chrome.storage.sync.get(ACTIVE_RULE_PROFILE_KEY);
+    return data[ACTIVE_RULE_PROFILE_KEY] || '';
+  },
+
+  // One storage item per profile: sync storage limits the size of each item
+  async profiles() {
+    const data = await chrome.storage.sync.get(null);
+    return Object.keys(data)
+      .filter(key => key.startsWith(RULE_PROFILE_PREFIX))
+      .map(key => ({ name: key.slice(RULE_PROFILE_PREFIX.length), rules: this.normalize(data[key]) }))
+      .sort((a, b) => a.name.localeCompare(b.name, I18n.locale()));
+  },
+
+  async saveProfile(name, rules) {
+    await chrome.storage.sync.set({ [RULE_PROFILE_PREFIX + name]: this.normalize(rules) });
+  },
+
+  async deleteProfile(name) {
+    await chrome.storage.sync.remove(RULE_PROFILE_PREFIX + name);
+    if (await this.activeProfile() === name) {
+      await chrome.storage.sync.set({ [ACTIVE_RULE_PROFILE_KEY]: '' });
+    }
+  },
+
+  // ---- Import / export ------------------------------------------------------
+
+  toJSON(name, rules) {
+    return JSON.stringify({
+      format: RULES_FORMAT,
+      version: RULES_VERSION,
+      name,
+      rules: this.normalize(rules)
+    }, null, 2);
+  },
+
+  /**
+   * { name, rules } from an exported file. Throws with a message for the
+   * user when the file is not a rules profile.
+   */
+  parse(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(I18n.t('rulesErrorInvalidJson'));
+    }
+    if (!data || data.format !== RULES_FORMAT || !data.rules || typeof data.rules !== 'object') {
+      throw new Error(I18n.t('rulesErrorNotProfile'));
+    }
+    if (data.version > RULES_VERSION) {
+      throw new Error(I18n.t('rulesErrorNewerVersion'));
+    }
+    return {
+      name: String(data.name || '').trim() || I18n.t('rulesImportedProfile'),
+      rules: this.normalize(data.rules)
+    };
+  }
+};
@@ -0,0 +1,199 @@
+// ============================================================================
+// TOKENIZER
+// Paragraph, sentence and word segmentation with character offsets. Shared
+// by every agent so their counts agree with each other. Sentences depend on
+// the language only through its abbreviations (lib/languages.js).
+// ============================================================================
+
+// Abbreviations whose final period does not end a sentence (lowercase,
+// without the final period)
+const SPANISH_ABBREVIATIONS = new Set([
+  'sr', 'sra', 'sres', 'sras', 'srta', 'srtas', 'd', 'dña', 'dr', 'dra', 'dres', 'drs',
+  'ud', 'uds', 'vd', 'vds', 'excmo', 'excma', 'ilmo', 'ilma', 'rvdo', 'sto', 'sta',
+  'art', 'arts', 'núm', 'nº', 'n', 'pág', 'págs', 'p', 'pp', 'cap', 'caps', 'vol', 'vols',
+  'apdo', 'apdos', 'disp', 'adic', 'trans', 'ref', 'reg', 'exp', 'expte', 'secc',
+  'avda', 'av', 'c', 'pza', 'pl', 'ctra', 'tel', 'tfno', 'cp', 'c.p',
+  'ej', 'etc', 'aprox', 'admón', 'adm', 'dcha', 'izq', 'izda', 'gral', 'lic', 'prof',
+  'cía', 'dpto', 'depto', 'ed', 'fig', 'figs', 'cit', 'op', 'ib', 'íd', 'id', 'vid',
+  'sig', 'sigs', 'ss', 'pto', 'ptos', 'máx', 'mín', 'ee', 'uu', 'ee.uu', 's.a', 's.l',
+  's.l.u', 'a.c', 'd.c', 'ntra', 'ntro'
+]);
+
+const CATALAN_ABBREVIATIONS = new Set([
+  'sr', 'sra', 'srs', 'sres', 'srta', 'dr', 'dra', 'drs', 'excm', 'excma', 'il·lm', 'il·lma',
+  'art', 'arts', 'núm', 'nº', 'n', 'pàg', 'pàgs', 'p', 'pp', 'cap', 'vol', 'vols', 'apt', 'apts',
+  'ref', 'exp', 'av', 'avda', 'c', 'pl', 'ctra', 'tel', 'ex', 'etc', 'aprox', 'adm', 'dept',
+  'dpt', 'ed', 'fig', 'cit', 'op', 'màx', 'mín', 'vg', 'v', 'st', 'sta', 'cia', 's.a', 's.l'
+]);
+
+// "no" is left out: "The answer is no. We..." ends a sentence more often
+// than "No. 5" continues one
+const ENGLISH_ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'approx', 'dept',
+  'est', 'fig', 'figs', 'inc', 'ltd', 'co', 'corp', 'vol', 'vols', 'p', 'pp', 'ch', 'art', 'sec',
+  'para', 'ref', 'tel', 'ave', 'rd', 'gov', 'govt', 'cf', 'al'
+]);
+
+// Aragonese texts use the Spanish administrative abbreviations. Languages
+// without an entry only keep initials and dotted acronyms.
+const ABBREVIATIONS = {
+  es: SPANISH_ABBREVIATIONS,
+  an: SPANISH_ABBREVIATIONS,
+  ca: CATALAN_ABBREVIATIONS,
+  en: ENGLISH_ABBREVIATIONS
+};
+
+// Closing quotes and brackets that may follow the final punctuation
+const CLOSING_CHARS = '"\'»”’)\\]';
+
+const WORD_PATTERN = new RegExp([
+  // URLs, without trailing punctuation
+  'https?:\\/\\/[^\\s<>"]*[^\\s<>".,;:!?)\\]»]',
+  'www\\.[^\\s<>"]*[^\\s<>".,;:!?)\\]»]',
+  // E-mail addresses
+  '[\\p{L}\\p{N}._%+-]+@[\\p{L}\\p{N}.-]+\\.\\p{L}{2,}',
+  // Numbers with thousands/decimal separators and ordinals: 1.500, 3,5, 2º
+  '\\p{N}+(?:[.,]\\p{N}+)*[ºª°]?',
+  // Words, including elisions, hyphenated compounds and the Catalan l·l
+  '[\\p{L}\\p{M}]+(?:[\'’·-][\\p{L}\\p{M}]+)*'
+].join('|'), 'gu');
+
+const Tokenizer = {
+  /**
+   * Splits text into paragraphs separated by blank lines.
+   * Returns [{ text, start, end }].
+   */
+  paragraphs(text) {
+    const spans = [];
+    const re = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+      this._pushTrimmed(spans, text, match.index, match.index + match[0].length);
+    }
+    return spans;
+  },
+
+  /**
+   * Splits text into sentences. Line breaks always end a sentence (page text
+   * keeps only the breaks between blocks, see PageExtractor.blockText); within a
+   * line, . ! ? and … end one unless they close an abbreviation, an initial,
+   * or are followed by a lowercase continuation ("¿vienes? —preguntó").
+   * language is a code of lib/languages.js.
+   * Returns [{ text, start, end }] including the final punctuation.
+   */
+  sentences(text, language = DEFAULT_LANGUAGE) {
+    const spans = [];
+    const lineRe = /[^\n]+/g;
+    const terminatorRe = new RegExp(`[.!?…]+[${CLOSING_CHARS}]*`, 'g');
+    let line;
+
+    while ((line = lineRe.exec(text)) !== null) {
+      const lineText = line[0];
+      let sentenceStart = 0;
+      let match;
+      terminatorRe.lastIndex = 0;
+
+      while ((match = terminatorRe.exec(lineText)) !== null) {
+        const end = match.index + match[0].length;
+        const rest = lineText.slice(end);
+
+        // Only punctuation followed by a space can end a sentence mid-line:
+        // 1.500, www.aragon.es or "?," never do
+        if (!/^\s+\S/.test(rest)) continue;
+
+        // A dialogue dash belongs to what follows it: "¿Vienes? —preguntó"
+        // goes on, "¿Vienes? —Sí." starts a new sentence
+        const next = rest.trimStart().replace(/^[—–]\s*/, '').charAt(0);
+        if (this._endsSentence(lineText, match, next, ABBREVIATIONS[language] || new Set())) {
+          this._pushTrimmed(spans, text, line.index + sentenceStart, line.index + end);
+          sentenceStart = end;
+        }
+      }
+
+      this._pushTrimmed(spans, text, line.index + sentenceStart, line.index + lineText.length);
+    }
+
+    // Lines without any word (separators, bullets) are not sentences
+    return spans.filter(span => /[\p{L}\p{N}]/u.test(span.text));
+  },
+
+  /**
+   * Splits text into words: regular words, numbers, URLs and e-mails.
+   * Returns [{ text, start, end, type: 'word'|'number'|'url'|'email' }].
+   */
+  words(text) {
+    const tokens = [];
+    WORD_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = WORD_PATTERN.exec(text)) !== null) {
+      tokens.push({
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        type: this._wordType(match[0])
+      });
+    }
+    return tokens;
+  },
+
+  wordCount(text) {
+    return this.words(text).length;
+  },
+
+  averageSentenceLength(text, language = DEFAULT_LANGUAGE) {
+    const sentences = this.sentences(text, language);
+    if (sentences.length === 0) return 0;
+    return sentences.reduce((sum, s) => sum + this.wordCount(s.text), 0) / sentences.length;
+  },
+
+  /**
+   * Words of at least minLength letters (accented letters included).
+   */
+  longWords(text, minLength = 13) {
+    return this.words(text)
+      .filter(word => word.type === 'word' && word.text.replace(/[^\p{L}]/gu, '').length >= minLength)
+      .map(word => word.text);
+  },
+
+  _endsSentence(lineText, match, next, abbreviations) {
+    const punctuation = match[0];
+    const startsNew = /[\p{Lu}\p{N}¿¡«"“'(\[-]/u.test(next);
+
+    if (/[?!]/.test(punctuation)) {
+      return startsNew || !/\p{Ll}/u.test(next);
+    }
+    if (punctuation.includes('…') || punctuation.includes('..')) {
+      return startsNew;
+    }
+
+    // A single period: look at the word it closes
+    const before = lineText.slice(0, match.index).match(/[\p{L}\p{N}.ºª]+$/u);
+    if (before) {
+      const word = before[0];
+      const lower = word.toLowerCase();
+      if (lower === 'etc') return /[\p{Lu}¿¡]/u.test(next);
+      if (abbreviations.has(lower)) return false;
+      // Initials: "J. Pérez", "M.ª"
+      if (/^\p{Lu}$/u.test(word)) return false;
+      // Dotted acronyms: "S.A.", "EE.UU."
+      if (/^(?:\p{L}{1,2}\.)+\p{L}{1,2}$/u.test(word)) return false;
+    }
+
+    return startsNew;
+  },
+
+  _wordType(token) {
+    if (/^(?:https?:\/\/|www\.)/i.test(token)) return 'url';
+    if (token.includes('@')) return 'email';
+    if (/^\p{N}/u.test(token)) return 'number';
+    return 'word';
+  },
+
+  _pushTrimmed(spans, text, start, end) {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (end > start) {
+      spans.push({ text: text.slice(start, end), start, end });
+    }
+  }
+};
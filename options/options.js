@@ -0,0 +1,267 @@
+// ============================================================================
+// Aclarador Chrome Extension - Options
+// Thresholds, agent and check switches, and named rule profiles, all kept in
+// chrome.storage.sync (see lib/rules.js).
+// ============================================================================
+
+// Name of the profile the stored rules came from ('' when edited by hand)
+let activeProfileName = '';
+
+document.addEventListener('DOMContentLoaded', async () => {
+  I18n.localize(document);
+  buildForm();
+  fillForm(await RuleSettings.load());
+  activeProfileName = await RuleSettings.activeProfile();
+  await renderProfiles();
+
+  document.getElementById('saveRulesBtn').addEventListener('click', saveRules);
+  document.getElementById('resetRulesBtn').addEventListener('click', () => {
+    fillForm(DEFAULT_RULES);
+    setSaveStatus(I18n.t('optionsDefaultsLoaded'));
+  });
+  document.getElementById('applyProfileBtn').addEventListener('click', applyProfile);
+  document.getElementById('deleteProfileBtn').addEventListener('click', deleteProfile);
+  document.getElementById('saveProfileBtn').addEventListener('click', saveProfile);
+  document.getElementById('exportRulesBtn').addEventListener('click', exportRules);
+  document.getElementById('importRulesBtn').addEventListener('click', () => {
+    document.getElementById('importRulesFile').click();
+  });
+  document.getElementById('importRulesFile').addEventListener('change', importRules);
+});
+
+// ============================================================================
+// Form
+// ============================================================================
+
+function buildForm() {
+  const thresholds = document.getElementById('thresholds');
+  RULE_THRESHOLDS.forEach(([key, label, min, max]) => {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+    group.innerHTML = `
+      <label for="rule-${key}">${escapeHtml(label)}:</label>
+      <input type="number" id="rule-${key}" data-threshold="${key}" min="${min}" max="${max}" step="1">
+    `;
+    thresholds.appendChild(group);
+  });
+
+  const agents = document.getElementById('agentToggles');
+  Object.entries(RULE_AGENTS).forEach(([agent, label]) => {
+    agents.appendChild(checkbox(`agent-${agent}`, label, { agent }));
+  });
+
+  const checks = document.getElementById('checkToggles');
+  // Grammar rules limited to some languages name them
+  const languages = rule => rule.languages
+    ? ` (${rule.languages.map(code => Languages.get(code).label).join(', ')})`
+    : '';
+  const checkLabels = [
+    ...Object.entries(RULE_CHECKS),
+    ...[...GRAMMAR_RULES, ...OPENING_MARKS].map(rule => [rule.id, rule.label + languages(rule)])
+  ];
+  checkLabels.forEach(([id, label]) => {
+    checks.appendChild(checkbox(`check-${id}`, label, { check: id }));
+  });
+}
+
+function checkbox(id, label, data) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'checkbox-label';
+  wrapper.innerHTML = `<input type="checkbox" id="${id}"> ${escapeHtml(label)}`;
+  Object.assign(wrapper.querySelector('input').dataset, data);
+  return wrapper;
+}
+
+function fillForm(rules) {
+  const normalized = RuleSettings.normalize(rules);
+  document.querySelectorAll('[data-threshold]').forEach(input => {
+    input.value = normalized[input.dataset.threshold];
+  });
+  document.getElementById('inlineChecks').checked = normalized.inlineChecks;
+  document.querySelectorAll('[data-agent]').forEach(input => {
+    input.checked = RuleSettings.isAgentEnabled(normalized, input.dataset.agent);
+  });
+  document.querySelectorAll('[data-check]').forEach(input => {
+    input.checked = RuleSettings.isCheckEnabled(normalized, input.dataset.check);
+  });
+}
+
+function readForm() {
+  const rules = { inlineChecks: document.getElementById('inlineChecks').checked, agents: {}, checks: {} };
+  document.querySelectorAll('[data-threshold]').forEach(input => {
+    rules[input.dataset.threshold] = parseInt(input.value, 10);
+  });
+  document.querySelectorAll('[data-agent]').forEach(input => {
+    rules.agents[input.dataset.agent] = input.checked;
+  });
+  document.querySelectorAll('[data-check]').forEach(input => {
+    if (!input.checked) rules.checks[input.dataset.check] = false;
+  });
+  return RuleSettings.normalize(rules);
+}
+
+// Stored rules keep their profile name only while they match the profile
+async function saveRules() {
+  hideError();
+  const rules = readForm();
+  const profile = (await RuleSettings.profiles()).find(p => p.name === activeProfileName);
+  const profileName = profile && sameRules(profile.rules, rules) ? activeProfileName : '';
+
+  await RuleSettings.save(rules, profileName);
+  activeProfileName = profileName;
+  // Show the values as normalized (clamped, ranges in order)
+  fillForm(rules);
+  renderActiveProfile();
+  setSaveStatus(I18n.t('optionsSaved'));
+}
+
+function sameRules(a, b) {
+  return JSON.stringify(RuleSettings.normalize(a)) === JSON.stringify(RuleSettings.normalize(b));
+}
+
+// ============================================================================
+// Profiles
+// ============================================================================
+
+async function renderProfiles() {
+  const profiles = await RuleSettings.profiles();
+  const select = document.getElementById('profileSelect');
+  select.innerHTML = profiles.length === 0
+    ? `<option value="">${escapeHtml(I18n.t('optionsNoProfiles'))}</option>`
+    : profiles.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('');
+  if (profiles.some(p => p.name === activeProfileName)) select.value = activeProfileName;
+
+  document.getElementById('applyProfileBtn').disabled = profiles.length === 0;
+  document.getElementById('deleteProfileBtn').disabled = profiles.length === 0;
+  renderActiveProfile();
+}
+
+function renderActiveProfile() {
+  document.getElementById('activeProfile').textContent = activeProfileName
+    ? I18n.t('optionsActiveProfile', activeProfileName)
+    : I18n.t('optionsCustomRules');
+}
+
+async function applyProfile() {
+  const name = document.getElementById('profileSelect').value;
+  const profile = (await RuleSettings.profiles()).find(p => p.name === name);
+  if (!profile) return;
+
+  await RuleSettings.save(profile.rules, profile.name);
+  activeProfileName = profile.name;
+  fillForm(profile.rules);
+  renderActiveProfile();
+  setSaveStatus(I18n.t('optionsProfileApplied', profile.name));
+}
+
+async function deleteProfile() {
+  const name = document.getElementById('profileSelect').value;
+  if (!name || !confirm(I18n.t('optionsConfirmDelete', name))) return;
+
+  await RuleSettings.deleteProfile(name);
+  if (activeProfileName === name) activeProfileName = '';
+  await renderProfiles();
+  setSaveStatus(I18n.t('optionsProfileDeleted', name));
+}
+
+// Saving a profile also applies it, so the stored rules match the form
+async function saveProfile() {
+  hideError();
+  const name = document.getElementById('profileName').value.trim();
+  if (!name) {
+    showError(I18n.t('optionsErrorNoName'));
+    return;
+  }
+
+  const profiles = await RuleSettings.profiles();
+  if (profiles.some(p => p.name === name) && !confirm(I18n.t('optionsConfirmReplace', name))) return;
+
+  try {
+    await storeProfile(name, readForm());
+    document.getElementById('profileName').value = '';
+    setSaveStatus(I18n.t('optionsProfileSaved', name));
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+async function storeProfile(name, rules) {
+  try {
+    await RuleSettings.saveProfile(name, rules);
+  } catch (error) {
+    // Sync storage caps the number and size of items
+    throw new Error(I18n.t('optionsErrorSave', error.message));
+  }
+  await RuleSettings.save(rules, name);
+  activeProfileName = name;
+  fillForm(rules);
+  await renderProfiles();
+}
+
+// ============================================================================
+// Import / Export
+// ============================================================================
+
+function exportRules() {
+  const name = activeProfileName || I18n.t('optionsDefaultExportName');
+  const blob = new Blob([RuleSettings.toJSON(name, readForm())], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `aclarador-reglas-${slugify(name)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// An imported file becomes a saved profile and is applied straight away
+async function importRules(event) {
+  hideError();
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    const { name, rules } = RuleSettings.parse(await file.text());
+    const profiles = await RuleSettings.profiles();
+    if (profiles.some(p => p.name === name) && !confirm(I18n.t('optionsConfirmReplaceImported', name))) return;
+
+    await storeProfile(name, rules);
+    setSaveStatus(I18n.t('optionsProfileImported', name));
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'perfil';
+}
+
+// ============================================================================
+// UI Helpers
+// ============================================================================
+
+function setSaveStatus(message) {
+  document.getElementById('saveStatus').textContent = message;
+}
+
+function showError(message) {
+  document.getElementById('errorMessage').textContent = message;
+  document.getElementById('errorSection').style.display = 'block';
+}
+
+function hideError() {
+  document.getElementById('errorSection').style.display = 'none';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
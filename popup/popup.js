@@ -3,32 +3,112 @@
 // ============================================================================
 
 document.addEventListener('DOMContentLoaded', () => {
-  // Load saved API key
-  chrome.storage.local.get(['groqApiKey', 'charLimit'], (data) => {
-    if (data.groqApiKey) {
-      document.getElementById('apiKey').value = data.groqApiKey;
-    }
+  I18n.localize(document);
+
+  // Provider choices
+  const providerSelect = document.getElementById('llmProvider');
+  Object.entries(LLM_PROVIDERS).forEach(([id, preset]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = preset.label;
+    providerSelect.appendChild(option);
+  });
+
+  // Audience choices
+  const audienceSelect = document.getElementById('audience');
+  Object.entries(AUDIENCES).forEach(([id, audience]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = audience.label;
+    audienceSelect.appendChild(option);
+  });
+
+  // Load saved API keys and settings
+  chrome.storage.local.get([
+    ...LLM_KEY_STORAGE, 'charLimit', 'llmSettings', 'customLexicon', 'audience', 'protectedTerms'
+  ], (data) => {
+    apiKeys = storedApiKeys(data);
     if (data.charLimit) {
       document.getElementById('charLimit').value = data.charLimit;
     }
+    fillLlmSettings({ ...DEFAULT_LLM_SETTINGS, ...data.llmSettings });
+    document.getElementById('apiKey').value = apiKeys[providerSelect.value] || '';
+    document.getElementById('customLexicon').value = formatLexicon(data.customLexicon || []);
+    audienceSelect.value = Audiences.get(data.audience).id;
+    document.getElementById('protectedTerms').value = (data.protectedTerms || []).join('\n');
   });
+  updateCacheStatus();
 
   // Event listeners
   document.getElementById('analyzeBtn').addEventListener('click', startAnalysis);
+  document.getElementById('cancelBtn').addEventListener('click', cancelAnalysis);
+  document.getElementById('historyBtn').addEventListener('click', showHistory);
+  document.getElementById('auditBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('audit/audit.html') });
+  });
+  document.getElementById('optionsBtn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  document.getElementById('closeHistoryBtn').addEventListener('click', hideHistory);
+  document.getElementById('clearHistoryBtn').addEventListener('click', clearHistory);
+  document.getElementById('clearCacheBtn').addEventListener('click', clearRewriteCache);
   document.getElementById('togglePassword').addEventListener('click', togglePasswordVisibility);
   document.getElementById('copyImprovedBtn').addEventListener('click', copyImprovedText);
+  document.getElementById('applyRewriteBtn').addEventListener('click', applyRewriteOnPage);
+  document.getElementById('restoreOriginalBtn').addEventListener('click', restoreOriginalOnPage);
+  document.getElementById('highlightBtn').addEventListener('click', highlightIssuesOnPage);
+  document.getElementById('clearHighlightBtn').addEventListener('click', clearHighlightsOnPage);
+  document.querySelectorAll('[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => exportReport(btn.dataset.export));
+  });
 
   // Tab switching
   document.querySelectorAll('.tab').forEach(tab => {
     tab.addEventListener('click', () => switchTab(tab.dataset.tab));
   });
 
+  // Diff view
+  document.querySelectorAll('.diff-mode').forEach(btn => {
+    btn.addEventListener('click', () => switchDiffMode(btn.dataset.mode));
+  });
+  document.getElementById('prevChangeBtn').addEventListener('click', () => goToChange(-1));
+  document.getElementById('nextChangeBtn').addEventListener('click', () => goToChange(1));
+
   // Save API key on change
-  document.getElementById('apiKey').addEventListener('change', () => {
-    const key = document.getElementById('apiKey').value.trim();
-    chrome.storage.local.set({ groqApiKey: key });
+  document.getElementById('apiKey').addEventListener('change', saveApiKey);
+
+  // Provider presets fill in endpoint, model and the key saved for that
+  // provider; any edit is saved
+  providerSelect.addEventListener('change', () => {
+    const preset = LLM_PROVIDERS[providerSelect.value];
+    document.getElementById('llmEndpoint').value = preset.endpoint;
+    document.getElementById('llmModel').value = preset.model;
+    document.getElementById('apiKey').value = apiKeys[providerSelect.value] || '';
+    saveLlmSettings();
+  });
+  ['llmEndpoint', 'llmModel', 'llmTemperature', 'llmMaxTokens'].forEach(id => {
+    document.getElementById(id).addEventListener('change', saveLlmSettings);
+  });
+
+  // Save custom lexicon on change
+  document.getElementById('customLexicon').addEventListener('change', () => {
+    const entries = parseLexicon(document.getElementById('customLexicon').value);
+    chrome.storage.local.set({ customLexicon: entries });
   });
 
+  // Save audience and protected terms on change
+  audienceSelect.addEventListener('change', () => {
+    chrome.storage.local.set({ audience: audienceSelect.value });
+  });
+  document.getElementById('protectedTerms').addEventListener('change', () => {
+    const terms = Audiences.parseTerms(document.getElementById('protectedTerms').value);
+    chrome.storage.local.set({ protectedTerms: terms });
+  });
+
+  // Opened by the "Aclarar selección" context menu
+  const selectionRun = new URLSearchParams(location.search).get('selection');
+  if (selectionRun) {
+    showSelectionAnalysis(selectionRun);
+  }
+
   // Save char limit on change
   document.getElementById('charLimit').addEventListener('change', () => {
     const limit = parseInt(document.getElementById('charLimit').value, 10);
@@ -47,13 +127,96 @@ function togglePasswordVisibility() {
   const toggle = document.getElementById('togglePassword');
   if (input.type === 'password') {
     input.type = 'text';
-    toggle.textContent = 'Ocultar';
+    toggle.textContent = I18n.t('popupHideKey');
   } else {
     input.type = 'password';
-    toggle.textContent = 'Mostrar';
+    toggle.textContent = I18n.t('popupShowKey');
   }
 }
 
+function fillLlmSettings(settings) {
+  document.getElementById('llmProvider').value = LLM_PROVIDERS[settings.provider] ? settings.provider : 'custom';
+  document.getElementById('llmEndpoint').value = settings.endpoint || '';
+  document.getElementById('llmModel').value = settings.model || '';
+  document.getElementById('llmTemperature').value = settings.temperature;
+  document.getElementById('llmMaxTokens').value = settings.maxTokens;
+  updateApiKeyRequirement();
+}
+
+function readLlmSettings() {
+  const temperature = parseFloat(document.getElementById('llmTemperature').value);
+  const maxTokens = parseInt(document.getElementById('llmMaxTokens').value, 10);
+  return {
+    provider: document.getElementById('llmProvider').value,
+    endpoint: document.getElementById('llmEndpoint').value.trim(),
+    model: document.getElementById('llmModel').value.trim(),
+    temperature: Number.isFinite(temperature) ? temperature : DEFAULT_LLM_SETTINGS.temperature,
+    maxTokens: Number.isFinite(maxTokens) ? maxTokens : DEFAULT_LLM_SETTINGS.maxTokens
+  };
+}
+
+function saveLlmSettings() {
+  const llm = readLlmSettings();
+  chrome.storage.local.set({ llmSettings: llm });
+  updateApiKeyRequirement();
+  requestEndpointAccess(llm);
+}
+
+// The hosted presets answer cross-origin requests; a local server or a
+// custom endpoint needs host access to its origin. Chrome only shows the
+// prompt from a user action, so this runs from the change and click handlers
+// before anything is awaited. Resolves to whether the endpoint can be reached.
+function requestEndpointAccess(llm) {
+  const origin = endpointOrigin(llm.endpoint);
+  if (!origin) return Promise.resolve(true);
+  const preset = LLM_PROVIDERS[llm.provider];
+  const local = /^(localhost|127\.|\[::1\]$)/.test(new URL(origin).hostname);
+  if (preset && llm.endpoint === preset.endpoint && !local) return Promise.resolve(true);
+  return chrome.permissions.request({ origins: [`${origin}/*`] }).catch(() => false);
+}
+
+function endpointOrigin(endpoint) {
+  try {
+    const url = new URL(endpoint);
+    return /^https?:$/.test(url.protocol) ? url.origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// { provider id: key }, as saved
+let apiKeys = {};
+
+// The key field belongs to the selected provider
+function saveApiKey() {
+  apiKeys = { ...apiKeys, [document.getElementById('llmProvider').value]: document.getElementById('apiKey').value.trim() };
+  chrome.storage.local.set({ apiKeys });
+  chrome.storage.local.remove(['apiKey', 'groqApiKey']);
+}
+
+function updateApiKeyRequirement() {
+  const preset = LLM_PROVIDERS[document.getElementById('llmProvider').value];
+  document.getElementById('apiKey').placeholder = preset && preset.requiresApiKey
+    ? I18n.t('popupApiKeyPlaceholder', preset.label)
+    : I18n.t('popupApiKeyOptional');
+}
+
+// One "expresión => sustitución" per line; "→" also works as separator
+function parseLexicon(value) {
+  return value.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [expression, replacement = ''] = line.split(/\s*(?:=>|→)\s*/);
+      return { expression: expression.trim(), replacement: replacement.trim() };
+    })
+    .filter(entry => entry.expression);
+}
+
+function formatLexicon(entries) {
+  return entries.map(e => `${e.expression} => ${e.replacement || ''}`.trim()).join('\n');
+}
+
 function switchTab(tabName) {
   document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
   document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
@@ -82,7 +245,7 @@ function escapeHtml(text) {
 // Progress Tracking
 // ============================================================================
 
-const agentOrder = ['analyzer', 'rewriter', 'grammar', 'style', 'seo', 'validator'];
+const agentOrder = ['analyzer', 'lexicon', 'rewriter', 'grammar', 'style', 'seo', 'preservation', 'validator'];
 let completedAgents = new Set();
 
 function resetProgress() {
@@ -91,15 +254,47 @@ function resetProgress() {
     step.classList.remove('active', 'completed');
   });
   document.getElementById('progressBar').style.width = '0%';
-  document.getElementById('progressStatus').textContent = 'Iniciando...';
+  document.getElementById('progressStatus').textContent = I18n.t('popupStarting');
+  document.getElementById('progressSections').innerHTML = '';
+}
+
+// Agents turned off in the options are greyed out in the step list
+function markDisabledAgents(rules) {
+  document.querySelectorAll('.agent-step').forEach(step => {
+    step.classList.toggle('disabled', !RuleSettings.isAgentEnabled(rules, step.dataset.agent));
+  });
 }
 
-function updateProgress(agentName, status) {
+function updateSectionProgress(section, totalSections) {
+  const container = document.getElementById('progressSections');
+  if (totalSections <= 1) return;
+
+  if (container.children.length !== totalSections) {
+    container.innerHTML = '';
+    for (let i = 1; i <= totalSections; i++) {
+      const cell = document.createElement('span');
+      cell.className = 'section-cell';
+      cell.title = I18n.t('popupSection', i);
+      container.appendChild(cell);
+    }
+  }
+
+  Array.from(container.children).forEach((cell, idx) => {
+    cell.classList.toggle('completed', idx + 1 < section);
+    cell.classList.toggle('active', idx + 1 === section);
+  });
+}
+
+function updateProgress(agentName, status, detail = {}) {
   if (agentName === 'done') {
     document.querySelectorAll('.agent-step').forEach(step => {
       step.classList.remove('active');
       step.classList.add('completed');
     });
+    document.querySelectorAll('.section-cell').forEach(cell => {
+      cell.classList.remove('active');
+      cell.classList.add('completed');
+    });
     document.getElementById('progressBar').style.width = '100%';
     document.getElementById('progressStatus').textContent = status;
     return;
@@ -123,11 +318,43 @@ function updateProgress(agentName, status) {
     currentStep.classList.add('active');
   }
 
-  // Update progress bar
-  const currentIndex = agentOrder.indexOf(agentName);
+  // Update progress bar, advancing within the rewriter step section by section
+  let currentIndex = agentOrder.indexOf(agentName);
+  if (detail.totalSections > 1) {
+    updateSectionProgress(detail.section, detail.totalSections);
+    currentIndex += (detail.section - 1) / detail.totalSections;
+  } else if (agentName !== 'rewriter') {
+    document.querySelectorAll('.section-cell').forEach(cell => {
+      cell.classList.remove('active');
+      cell.classList.add('completed');
+    });
+  }
   const progress = Math.round((currentIndex / agentOrder.length) * 100);
   document.getElementById('progressBar').style.width = progress + '%';
   document.getElementById('progressStatus').textContent = status;
+
+  if (detail.partialText !== undefined) {
+    showLiveRewrite(detail.partialText);
+  }
+}
+
+// Fills the "Mejorado" tab while the rewrite streams in; displayResults
+// replaces it with the full result
+function showLiveRewrite(text) {
+  const section = document.getElementById('resultsSection');
+  if (!section.classList.contains('streaming')) {
+    section.classList.add('streaming');
+    section.style.display = 'block';
+    switchTab('improved');
+  }
+  document.getElementById('improvedText').textContent = text;
+}
+
+function hideLiveRewrite() {
+  const section = document.getElementById('resultsSection');
+  if (!section.classList.contains('streaming')) return;
+  section.classList.remove('streaming');
+  section.style.display = 'none';
 }
 
 // ============================================================================
@@ -135,98 +362,359 @@ function updateProgress(agentName, status) {
 // ============================================================================
 
 let analysisResult = null;
+let analyzedTabId = null;
+let analysisScope = 'page';
+let pageBlocks = [];
+// Aborts the running page analysis (see cancelAnalysis)
+let analysisController = null;
+
+// Same files, in the same order, as CONTENT_SCRIPT_FILES in background.js
+const CONTENT_SCRIPT_FILES = [
+  'lib/i18n.js', 'lib/languages.js', 'lib/tokenizer.js', 'lib/readability.js', 'lib/passive.js',
+  'lib/providers.js', 'lib/rules.js', 'lib/audiences.js', 'lib/easyread.js', 'lib/agents.js', 'lib/extract.js',
+  'content/content.js'
+];
+
+// The content script also runs in iframes (for the inline suggestions);
+// page-level requests go to the top frame only
+const TOP_FRAME = { frameId: 0 };
 
 async function startAnalysis() {
   const apiKey = document.getElementById('apiKey').value.trim();
-  if (!apiKey) {
-    showError('Por favor, ingresa tu clave API de Groq.');
+  const llm = readLlmSettings();
+  const preset = LLM_PROVIDERS[llm.provider];
+  const endpointAccess = requestEndpointAccess(llm);
+  const rules = await RuleSettings.load();
+  const rewriting = RuleSettings.isAgentEnabled(rules, 'rewriter');
+  if (rewriting && !apiKey && preset && preset.requiresApiKey) {
+    showError(I18n.t('popupErrorMissingKey', preset.label));
+    return;
+  }
+  if (rewriting && (!llm.endpoint || !llm.model)) {
+    document.getElementById('llmSettings').open = true;
+    showError(I18n.t('popupErrorMissingEndpoint'));
+    return;
+  }
+  if (rewriting && !(await endpointAccess)) {
+    showError(I18n.t('popupErrorEndpointPermission', endpointOrigin(llm.endpoint)));
     return;
   }
 
   // Save API key
-  chrome.storage.local.set({ groqApiKey: apiKey });
+  saveApiKey();
 
   hideError();
 
   // Disable button
   const btn = document.getElementById('analyzeBtn');
   btn.disabled = true;
-  btn.textContent = 'Analizando...';
+  btn.textContent = I18n.t('popupAnalyzing');
+
+  analysisController = new AbortController();
+  const cancelBtn = document.getElementById('cancelBtn');
+  cancelBtn.disabled = false;
+  cancelBtn.style.display = 'inline-block';
 
   // Hide previous results
   document.getElementById('resultsSection').style.display = 'none';
+  hideHistory();
 
   // Show progress
   const progressSection = document.getElementById('progressSection');
   progressSection.style.display = 'block';
   resetProgress();
+  markDisabledAgents(rules);
 
   try {
     // Get active tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
     if (!tab) {
-      throw new Error('No se pudo acceder a la pestaña activa.');
+      throw new Error(I18n.t('popupErrorNoTab'));
     }
 
     // Check if we can inject into this tab
     if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || tab.url.startsWith('about:')) {
-      throw new Error('No se puede analizar páginas internas del navegador.');
+      throw new Error(I18n.t('popupErrorInternalPage'));
     }
 
     // Inject content script if needed, then request text extraction
     let response;
     try {
-      response = await chrome.tabs.sendMessage(tab.id, { action: 'extractText' });
+      response = await chrome.tabs.sendMessage(tab.id, { action: 'extractText' }, TOP_FRAME);
     } catch (e) {
       // Content script not loaded yet, inject it
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['content/content.js']
+        files: CONTENT_SCRIPT_FILES
       });
-      response = await chrome.tabs.sendMessage(tab.id, { action: 'extractText' });
+      response = await chrome.tabs.sendMessage(tab.id, { action: 'extractText' }, TOP_FRAME);
     }
 
+    analyzedTabId = tab.id;
+    analysisScope = 'page';
+    document.getElementById('restoreOriginalBtn').disabled = true;
+
     if (!response || !response.success) {
-      throw new Error(response?.error || 'No se pudo extraer el texto de la página.');
+      throw new Error(response?.error || I18n.t('popupErrorExtract'));
     }
 
     const { text, metadata } = response;
+    pageBlocks = response.blocks || [];
 
     if (!text || text.trim().length < 20) {
-      throw new Error('La página no contiene suficiente texto para analizar.');
+      throw new Error(I18n.t('popupErrorNoText'));
     }
 
     // Show page info
     showPageInfo(metadata, text);
 
-    // Truncate text if needed
-    const charLimit = parseInt(document.getElementById('charLimit').value, 10) || 3000;
-    const truncatedText = text.length > charLimit
-      ? text.substring(0, charLimit) + '...'
-      : text;
+    // Long pages are rewritten section by section
+    const sectionChars = parseInt(document.getElementById('charLimit').value, 10) || 3000;
 
     // Run analysis
     const coordinator = new AgentCoordinator();
-    analysisResult = await coordinator.processText(truncatedText, {
+    analysisResult = await coordinator.processText(text, {
       apiKey,
+      llm,
+      cache: RewriteCache,
+      forceRewrite: document.getElementById('forceRewrite').checked,
+      customLexicon: parseLexicon(document.getElementById('customLexicon').value),
+      audience: document.getElementById('audience').value,
+      protectedTerms: Audiences.parseTerms(document.getElementById('protectedTerms').value),
       metadata,
+      sectionChars,
+      rules,
+      signal: analysisController.signal,
       onProgress: updateProgress
     });
 
     // Display results
     displayResults(analysisResult);
+    await recordHistory(analysisResult, 'page');
+    updateCacheStatus();
 
   } catch (error) {
-    console.error('Analysis error:', error);
-    showError(error.message);
     progressSection.style.display = 'none';
+    hideLiveRewrite();
+    if (error.name === 'AbortError') {
+      showError(I18n.t('analysisCancelled'));
+    } else {
+      console.error('Analysis error:', error);
+      showError(error.message);
+    }
   } finally {
+    analysisController = null;
+    cancelBtn.style.display = 'none';
     btn.disabled = false;
-    btn.textContent = 'Analizar Página Activa';
+    btn.textContent = I18n.t('popupAnalyzeButton');
   }
 }
 
+function cancelAnalysis() {
+  if (!analysisController) return;
+  analysisController.abort();
+  document.getElementById('cancelBtn').disabled = true;
+  document.getElementById('progressStatus').textContent = I18n.t('popupCancelling');
+}
+
+// ============================================================================
+// Selection Analysis (context menu)
+// ============================================================================
+
+// The background worker runs the pipeline on the selected text; this page
+// follows its progress and shows the stored result
+async function showSelectionAnalysis(runId) {
+  document.body.classList.add('page-view');
+  document.getElementById('progressSection').style.display = 'block';
+  resetProgress();
+
+  chrome.runtime.onMessage.addListener(message => {
+    if (message.action === 'selectionProgress' && message.runId === runId) {
+      updateProgress(message.agentName, message.status, message.detail);
+    }
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.selectionAnalysis) {
+      renderSelectionAnalysis(runId, changes.selectionAnalysis.newValue);
+    }
+  });
+
+  const { selectionAnalysis } = await chrome.storage.local.get('selectionAnalysis');
+  if (!selectionAnalysis || selectionAnalysis.runId !== runId) {
+    document.getElementById('progressSection').style.display = 'none';
+    showError(I18n.t('popupErrorSelectionGone', I18n.t('menuClarifySelection')));
+    return;
+  }
+  renderSelectionAnalysis(runId, selectionAnalysis);
+}
+
+function renderSelectionAnalysis(runId, analysis) {
+  if (!analysis || analysis.runId !== runId) return;
+
+  const metadata = analysis.metadata || {};
+  showPageInfo({ ...metadata, title: I18n.t('popupSelectionTitle', metadata.title || I18n.t('untitled')) }, analysis.text || '');
+
+  if (analysis.status === 'done') {
+    updateProgress('done', I18n.t('progressDone'));
+    analysisResult = analysis.result;
+    analyzedTabId = analysis.tabId;
+    analysisScope = 'selection';
+    // Page blocks are only known for whole-page analyses
+    pageBlocks = [];
+    document.getElementById('applyRewriteBtn').disabled = true;
+    displayResults(analysisResult);
+  } else if (analysis.status === 'error') {
+    document.getElementById('progressSection').style.display = 'none';
+    hideLiveRewrite();
+    showError(analysis.error);
+  }
+}
+
+// ============================================================================
+// History
+// ============================================================================
+
+// A failure to save history must not hide the results already shown
+async function recordHistory(result, scope) {
+  try {
+    await AnalysisHistory.record(result, { scope });
+  } catch (error) {
+    console.error('History error:', error);
+  }
+}
+
+async function showHistory() {
+  hideError();
+  ['resultsSection', 'progressSection', 'pageInfo'].forEach(id => {
+    document.getElementById(id).style.display = 'none';
+  });
+  document.getElementById('historySection').style.display = 'block';
+
+  const list = document.getElementById('historyList');
+  list.innerHTML = '';
+
+  const pages = await AnalysisHistory.pages();
+  if (pages.length === 0) {
+    list.innerHTML = `<div class="empty-state"><p>${escapeHtml(I18n.t('popupHistoryEmpty'))}</p></div>`;
+    return;
+  }
+  pages.forEach(page => list.appendChild(renderHistoryPage(page)));
+}
+
+function hideHistory() {
+  document.getElementById('historySection').style.display = 'none';
+}
+
+async function clearHistory() {
+  if (!confirm(I18n.t('popupConfirmClearHistory'))) return;
+  await AnalysisHistory.clear();
+  showHistory();
+}
+
+// One collapsible block per page: trend of the published text's scores and
+// the list of runs, newest first
+function renderHistoryPage(page) {
+  const trend = AnalysisHistory.trend(page.runs);
+  const latest = page.runs[page.runs.length - 1];
+  const percent = value => `${Math.round(value * 100)}%`;
+
+  const trendLines = [];
+  if (trend.qualityChange !== null) {
+    const known = trend.quality.filter(value => value !== null);
+    trendLines.push(I18n.t('popupTrendQuality', percent(known[0]), percent(known[known.length - 1]), formatChange(Math.round(trend.qualityChange * 100))));
+  }
+  if (trend.readabilityChange !== null) {
+    const known = trend.readability.filter(value => value !== null);
+    trendLines.push(I18n.t('popupTrendReadability', known[0].toFixed(0), known[known.length - 1].toFixed(0), formatChange(Math.round(trend.readabilityChange))));
+  }
+
+  const item = document.createElement('details');
+  item.className = 'history-page';
+  item.innerHTML = `
+    <summary>
+      <span class="history-title">${escapeHtml(latest.title || page.url || I18n.t('untitled'))}</span>
+      <span class="history-url">${escapeHtml(page.url)}</span>
+      <span class="history-meta">${escapeHtml(I18n.t('popupHistoryRuns', page.runs.length, formatDate(latest.timestamp)))}</span>
+    </summary>
+    ${trendLines.length > 0 ? `
+      <div class="history-trend">
+        ${renderSparkline(trend.quality.map(value => value === null ? null : value * 100))}
+        <div>${trendLines.map(line => `<div>${escapeHtml(line)}</div>`).join('')}</div>
+      </div>` : ''}
+    <div class="history-runs"></div>
+  `;
+
+  const runs = item.querySelector('.history-runs');
+  page.runs.slice().reverse().forEach((run, idx, newestFirst) => {
+    const previous = newestFirst[idx + 1];
+    const original = run.scores.original || {};
+    const row = document.createElement('div');
+    row.className = 'history-run';
+    row.innerHTML = `
+      <div class="history-run-info">
+        <div>${escapeHtml(formatDate(run.timestamp))}${run.scope === 'selection' ? ` · ${escapeHtml(I18n.t('popupHistorySelection'))}` : ''}${run.audience ? ` · ${escapeHtml(Audiences.get(run.audience).label)}` : ''}</div>
+        <div class="history-meta">
+          ${escapeHtml(I18n.t('popupHistoryScores',
+            original.qualityScore !== undefined ? percent(original.qualityScore) : '--',
+            original.inflesz != null ? original.inflesz.toFixed(0) : '--'))} ·
+          ${escapeHtml(I18n.plural('popupHistoryIssues', run.issues.total))}
+          ${previous && previous.textHash === run.textHash ? ` · ${escapeHtml(I18n.t('popupHistoryUnchanged'))}` : ''}
+        </div>
+      </div>
+      <button class="btn-secondary btn-small" ${run.hasResult ? '' : `disabled title="${escapeHtml(I18n.t('popupHistoryNoResult'))}"`}>${escapeHtml(I18n.t('popupHistoryOpen'))}</button>
+    `;
+    row.querySelector('button').addEventListener('click', () => openHistoryResult(run));
+    runs.appendChild(row);
+  });
+
+  return item;
+}
+
+async function openHistoryResult(run) {
+  const result = await AnalysisHistory.loadResult(run.id);
+  if (!result) {
+    showError(I18n.t('popupErrorResultGone'));
+    return;
+  }
+
+  hideHistory();
+  hideError();
+  const metadata = result.metadata || {};
+  showPageInfo({ ...metadata, title: `${metadata.title || I18n.t('untitled')} · ${formatDate(run.timestamp)}` }, result.originalText || '');
+
+  analysisResult = result;
+  analysisScope = run.scope;
+  // An old result cannot be highlighted or applied on the current page
+  analyzedTabId = null;
+  pageBlocks = [];
+  document.getElementById('applyRewriteBtn').disabled = true;
+  document.getElementById('restoreOriginalBtn').disabled = true;
+  displayResults(result);
+}
+
+function renderSparkline(values, max = 100) {
+  const points = values
+    .map((value, idx) => ({ value, idx }))
+    .filter(point => point.value !== null);
+  if (points.length < 2) return '';
+
+  const width = 80;
+  const height = 24;
+  const step = width / (values.length - 1);
+  const coords = points
+    .map(({ value, idx }) => `${(idx * step).toFixed(1)},${(height - Math.min(value, max) / max * height).toFixed(1)}`)
+    .join(' ');
+
+  return `<svg class="history-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+    <polyline points="${coords}" fill="none" stroke="#e10b17" stroke-width="2"/>
+  </svg>`;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(I18n.locale(), { dateStyle: 'short', timeStyle: 'short' });
+}
+
 // ============================================================================
 // Display Functions
 // ============================================================================
@@ -235,27 +723,42 @@ function showPageInfo(metadata, text) {
   const section = document.getElementById('pageInfo');
   section.style.display = 'block';
 
-  document.getElementById('pageTitle').textContent = metadata.title || 'Sin título';
+  document.getElementById('pageTitle').textContent = metadata.title || I18n.t('untitled');
   document.getElementById('pageUrl').textContent = metadata.url || '';
 
-  const wordCount = text.split(/\s+/).filter(w => w).length;
-  const sentenceCount = text.split(/[.!?]+/).filter(s => s.trim()).length;
+  const wordCount = Tokenizer.wordCount(text);
+  // Split the sentences as the analysis will, in the language of the page
+  const sentenceCount = Tokenizer.sentences(text, Languages.detect(text, metadata.lang).code).length;
   document.getElementById('pageStats').textContent =
-    `${wordCount.toLocaleString()} palabras | ${sentenceCount.toLocaleString()} oraciones | ${text.length.toLocaleString()} caracteres`;
+    I18n.t('popupPageStats', wordCount.toLocaleString(), sentenceCount.toLocaleString(), text.length.toLocaleString());
 }
 
 function displayResults(result) {
   const section = document.getElementById('resultsSection');
+  section.classList.remove('streaming');
   section.style.display = 'block';
 
+  // Results saved before audiences existed have none
+  document.getElementById('resultAudience').textContent = result.audience
+    ? I18n.t('popupResultAudience', result.audience.label)
+    : '';
+  renderLanguage(result.language);
+
   // Scores
   const quality = result.validation?.qualityScore || 0;
-  const readability = result.style?.readabilityScore || 0;
+  const indices = result.readability?.improved;
   const severity = result.analysis?.severity || 'N/A';
 
   document.getElementById('qualityScore').textContent = (quality * 100).toFixed(0) + '%';
-  document.getElementById('readabilityScore').textContent = (readability * 100).toFixed(0) + '%';
-  document.getElementById('severityScore').textContent = severity;
+  // Results saved before other languages were supported have no primary index
+  const primary = indices ? indices.primary || 'szigrisztPazos' : null;
+  document.getElementById('readabilityScore').textContent = indices ? indices[primary].value.toFixed(0) : '--';
+  document.getElementById('readabilityBand').textContent = indices ? indices[primary].band : '';
+  document.getElementById('readabilityLabel').textContent = indices
+    ? I18n.t('popupReadabilityLabel', READABILITY_INDICES[primary].short)
+    : I18n.t('reportReadability');
+  document.getElementById('severityScore').textContent = SEVERITY_LABELS[severity] || severity;
+  renderScoreDeltas(result.scores);
 
   // Color-code severity
   const severityCard = document.getElementById('severityCard');
@@ -264,14 +767,16 @@ function displayResults(result) {
   else if (severity === 'medium') severityCard.style.background = '#ed8936';
   else severityCard.style.background = '#48bb78';
 
+  renderReadability(result.readability);
+  renderPreservation(result.preservation);
+
   // Text comparison
   const originalText = result.originalText || '';
   const improvedText = result.finalText || '';
 
   document.getElementById('originalText').textContent = originalText;
   document.getElementById('improvedText').textContent = improvedText;
-  document.getElementById('sideOriginal').textContent = originalText;
-  document.getElementById('sideImproved').textContent = improvedText;
+  renderDiff(result);
 
   // Improvements
   const improvementsList = document.getElementById('improvementsList');
@@ -281,16 +786,20 @@ function displayResults(result) {
     result.improvements.forEach(imp => {
       const item = document.createElement('div');
       const type = imp.type || 'general';
+      const label = imp.type === 'rewrite' ? CLEAR_LANGUAGE_PRINCIPLES[imp.principle] : type;
       item.className = `improvement-item type-${type}`;
       item.innerHTML = `
-        <div class="improvement-type">${escapeHtml(type)}</div>
+        <div class="improvement-type">${escapeHtml(label)}</div>
         <div class="improvement-text">${escapeHtml(imp.change || imp.issue || imp.recommendation || '')}</div>
         ${imp.reason ? `<div class="improvement-reason">${escapeHtml(imp.reason)}</div>` : ''}
+        ${imp.sentenceText ? `<div class="improvement-reason">${escapeHtml(I18n.t('popupSentence', imp.sentence, imp.sentenceText))}</div>` : ''}
+        ${imp.type === 'rewrite' && !imp.located ? `<div class="improvement-reason">${escapeHtml(I18n.t('popupNotLocated'))}</div>` : ''}
+        ${imp.type === 'grammar' && typeof imp.replacement === 'string' ? `<div class="improvement-reason">${escapeHtml(I18n.t('popupAutoCorrected', imp.replacement.trim()))}</div>` : ''}
       `;
       improvementsList.appendChild(item);
     });
   } else {
-    improvementsList.innerHTML = '<div class="empty-state"><p>No se detectaron incidencias significativas.</p></div>';
+    improvementsList.innerHTML = `<div class="empty-state"><p>${escapeHtml(I18n.t('noSignificantIssues'))}</p></div>`;
   }
 
   // Compliance
@@ -309,6 +818,27 @@ function displayResults(result) {
     });
   }
 
+  // Lectura Fácil checklist, with examples of what breaks each guideline
+  if (result.validation?.easyRead) {
+    const heading = document.createElement('h3');
+    heading.className = 'compliance-heading';
+    heading.textContent = I18n.t('reportEasyRead', EASY_READ_STANDARD);
+    complianceList.appendChild(heading);
+
+    result.validation.easyRead.forEach(check => {
+      const item = document.createElement('div');
+      item.className = 'compliance-item';
+      item.innerHTML = `
+        <span class="compliance-icon ${check.passed ? 'passed' : 'failed'}">${check.passed ? '\u2713' : '\u2717'}</span>
+        <div>
+          <span>${escapeHtml(check.criterion)}</span>
+          ${check.passed ? '' : `<div class="compliance-detail">${escapeHtml(Report._easyReadDetail(check))}</div>`}
+        </div>
+      `;
+      complianceList.appendChild(item);
+    });
+  }
+
   // SEO
   if (result.seo?.seoRecommendations && result.seo.seoRecommendations.length > 0) {
     const seoCard = document.getElementById('seoCard');
@@ -330,6 +860,202 @@ function displayResults(result) {
   }
 }
 
+// "antes 45% · +20" under the quality and readability cards
+function renderScoreDeltas(scores) {
+  const quality = document.getElementById('qualityDelta');
+  const readability = document.getElementById('readabilityDelta');
+  quality.textContent = '';
+  readability.textContent = '';
+  if (!scores) return;
+
+  const { original, improved } = scores;
+  quality.textContent = formatDelta(
+    `${(original.qualityScore * 100).toFixed(0)}%`,
+    Math.round(improved.qualityScore * 100) - Math.round(original.qualityScore * 100)
+  );
+  if (original.inflesz !== null && improved.inflesz !== null) {
+    readability.textContent = formatDelta(
+      original.inflesz.toFixed(0),
+      Math.round(improved.inflesz) - Math.round(original.inflesz)
+    );
+  }
+}
+
+function formatDelta(before, delta) {
+  return I18n.t('popupDelta', before, formatChange(delta));
+}
+
+function formatChange(delta) {
+  const sign = delta > 0 ? '+' : delta < 0 ? '\u2212' : '\u00b1';
+  return `${sign}${Math.abs(delta)}`;
+}
+
+// Facts of the original that the rewrite lost or altered
+function renderPreservation(preservation) {
+  const card = document.getElementById('preservationCard');
+  const list = document.getElementById('preservationList');
+  list.innerHTML = '';
+
+  if (!preservation || preservation.preserved) {
+    card.style.display = 'none';
+    return;
+  }
+
+  card.style.display = 'block';
+  preservation.issues.forEach(issue => {
+    const item = document.createElement('li');
+    item.textContent = issue.issue;
+    list.appendChild(item);
+  });
+}
+
+const LANGUAGE_SOURCES = {
+  lang: I18n.t('popupLanguageDeclared'),
+  text: I18n.t('popupLanguageDetected'),
+  default: I18n.t('popupLanguageUndetected')
+};
+
+// Language the text was analyzed in, with the warnings about that choice and
+// what the analysis lacks for it (lib/languages.js)
+function renderLanguage(language) {
+  const line = document.getElementById('resultLanguage');
+  const card = document.getElementById('languageCard');
+  const list = document.getElementById('languageWarnings');
+  list.innerHTML = '';
+
+  // Results saved before languages were detected have none
+  if (!language) {
+    line.textContent = '';
+    card.style.display = 'none';
+    return;
+  }
+
+  line.textContent = I18n.t('popupLanguage', language.label, LANGUAGE_SOURCES[language.source]) +
+    (language.notes.length > 0 ? `. ${language.notes.join(' ')}` : '');
+  language.warnings.forEach(warning => {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    list.appendChild(item);
+  });
+  card.style.display = language.warnings.length > 0 ? 'block' : 'none';
+}
+
+function renderReadability(readability) {
+  const table = document.getElementById('readabilityTable');
+  table.innerHTML = '';
+  // No formulas for unsupported languages
+  document.getElementById('readabilityCard').style.display = readability?.original ? 'block' : 'none';
+  if (!readability) return;
+
+  const cell = index => index
+    ? `<span class="index-value">${index.value.toFixed(1)}</span><span class="index-band">${escapeHtml(index.band)}</span>`
+    : '--';
+
+  // Only the indices of the text's language
+  Object.keys(READABILITY_INDICES).filter(key => readability.original?.[key] || readability.improved?.[key]).forEach(key => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${escapeHtml(READABILITY_INDICES[key].label)}</td>
+      <td>${cell(readability.original?.[key])}</td>
+      <td>${cell(readability.improved?.[key])}</td>
+    `;
+    table.appendChild(row);
+  });
+}
+
+// ============================================================================
+// Diff View
+// ============================================================================
+
+let diffMode = 'split';
+let changeCount = 0;
+let currentChange = -1;
+
+function renderDiff(result) {
+  const ops = result.sections && result.sections.length > 1
+    ? TextDiff.diffSections(result.sections)
+    : TextDiff.diff(result.originalText || '', result.finalText || '');
+
+  const original = document.getElementById('sideOriginal');
+  const improved = document.getElementById('sideImproved');
+  const unified = document.getElementById('diffUnified');
+  original.innerHTML = '';
+  improved.innerHTML = '';
+  unified.innerHTML = '';
+
+  // Consecutive deletions and insertions form a single change
+  let change = -1;
+  let previousType = 'equal';
+
+  ops.forEach(op => {
+    if (op.type === 'equal') {
+      original.appendChild(document.createTextNode(op.original ?? op.text));
+      improved.appendChild(document.createTextNode(op.text));
+      unified.appendChild(document.createTextNode(op.text));
+      previousType = 'equal';
+      return;
+    }
+
+    if (previousType === 'equal' || op.moveId) change++;
+    previousType = op.type;
+
+    const target = op.type === 'delete' ? original : improved;
+    target.appendChild(createDiffNode(op, change));
+    unified.appendChild(createDiffNode(op, change));
+  });
+
+  changeCount = change + 1;
+  currentChange = -1;
+  updateChangeCounter();
+}
+
+function createDiffNode(op, change) {
+  const node = document.createElement(op.type === 'delete' ? 'del' : 'ins');
+  node.className = `diff-change ${op.moveId ? 'diff-moved' : (op.type === 'delete' ? 'diff-del' : 'diff-ins')}`;
+  node.dataset.change = change;
+  node.textContent = op.text;
+  if (op.moveId) {
+    node.title = op.type === 'delete' ? I18n.t('popupMovedFrom') : I18n.t('popupMovedTo');
+  }
+  return node;
+}
+
+function switchDiffMode(mode) {
+  diffMode = mode;
+  document.querySelectorAll('.diff-mode').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === mode);
+  });
+  document.getElementById('diffSplit').style.display = mode === 'split' ? '' : 'none';
+  document.getElementById('diffUnified').style.display = mode === 'unified' ? '' : 'none';
+  if (currentChange >= 0) highlightChange(currentChange);
+}
+
+function goToChange(direction) {
+  if (changeCount === 0) return;
+  // Before any navigation, "previous" starts from the last change
+  currentChange = currentChange < 0
+    ? (direction < 0 ? changeCount - 1 : 0)
+    : (currentChange + direction + changeCount) % changeCount;
+  highlightChange(currentChange);
+  updateChangeCounter();
+}
+
+function highlightChange(index) {
+  const container = document.getElementById(diffMode === 'split' ? 'diffSplit' : 'diffUnified');
+  document.querySelectorAll('.diff-change.current').forEach(el => el.classList.remove('current'));
+
+  const nodes = container.querySelectorAll(`.diff-change[data-change="${index}"]`);
+  nodes.forEach(el => el.classList.add('current'));
+  nodes.forEach(el => el.scrollIntoView({ behavior: 'smooth', block: 'nearest' }));
+}
+
+function updateChangeCounter() {
+  document.getElementById('changeCounter').textContent =
+    `${currentChange >= 0 ? currentChange + 1 : 0} / ${changeCount}`;
+  document.getElementById('prevChangeBtn').disabled = changeCount === 0;
+  document.getElementById('nextChangeBtn').disabled = changeCount === 0;
+}
+
 // ============================================================================
 // Copy to Clipboard
 // ============================================================================
@@ -339,8 +1065,8 @@ function copyImprovedText() {
 
   navigator.clipboard.writeText(analysisResult.finalText).then(() => {
     const btn = document.getElementById('copyImprovedBtn');
-    btn.textContent = 'Copiado!';
-    setTimeout(() => { btn.textContent = 'Copiar Mejorado'; }, 2000);
+    btn.textContent = I18n.t('popupCopied');
+    setTimeout(() => { btn.textContent = I18n.t('popupCopyButton'); }, 2000);
   }).catch(() => {
     // Fallback
     const textarea = document.createElement('textarea');
@@ -351,7 +1077,224 @@ function copyImprovedText() {
     document.body.removeChild(textarea);
 
     const btn = document.getElementById('copyImprovedBtn');
-    btn.textContent = 'Copiado!';
-    setTimeout(() => { btn.textContent = 'Copiar Mejorado'; }, 2000);
+    btn.textContent = I18n.t('popupCopied');
+    setTimeout(() => { btn.textContent = I18n.t('popupCopyButton'); }, 2000);
+  });
+}
+
+// ============================================================================
+// Rewrite Cache
+// ============================================================================
+
+async function updateCacheStatus() {
+  const count = await RewriteCache.count();
+  document.getElementById('cacheStatus').textContent = I18n.plural('popupCachedRewrites', count);
+}
+
+async function clearRewriteCache() {
+  await RewriteCache.clear();
+  updateCacheStatus();
+}
+
+// ============================================================================
+// Export Report
+// ============================================================================
+
+const REPORT_EXPORTS = {
+  json: { extension: 'json', type: 'application/json', render: report => Report.toJSON(report) },
+  markdown: { extension: 'md', type: 'text/markdown', render: report => Report.toMarkdown(report) },
+  html: { extension: 'html', type: 'text/html', render: report => Report.toHTML(report) }
+};
+
+async function exportReport(format) {
+  if (!analysisResult) return;
+
+  const report = Report.build(analysisResult, {
+    scope: analysisScope,
+    extensionVersion: chrome.runtime.getManifest().version
   });
+
+  if (format === 'pdf') {
+    // The print page reads the report back and opens the print dialog
+    await chrome.storage.local.set({ printReport: report });
+    chrome.tabs.create({ url: chrome.runtime.getURL('report/print.html') });
+    return;
+  }
+
+  const { extension, type, render } = REPORT_EXPORTS[format];
+  downloadFile(Report.filename(report, extension), render(report), type);
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================================
+// Highlight Issues on Page
+// ============================================================================
+
+async function highlightIssuesOnPage() {
+  if (!analysisResult || analyzedTabId === null) return;
+
+  const btn = document.getElementById('highlightBtn');
+  const issues = new AgentCoordinator().locateIssues(analysisResult.originalText, {
+    customLexicon: parseLexicon(document.getElementById('customLexicon').value),
+    rules: await RuleSettings.load(),
+    audience: analysisResult.audience?.id,
+    lang: analysisResult.language?.code
+  });
+
+  try {
+    const response = await chrome.tabs.sendMessage(analyzedTabId, { action: 'highlightIssues', issues }, TOP_FRAME);
+    if (!response || !response.success) {
+      throw new Error(response?.error || I18n.t('popupErrorHighlight'));
+    }
+    btn.textContent = I18n.t('popupHighlighted', response.highlighted);
+    setTimeout(() => { btn.textContent = I18n.t('popupHighlightButton'); }, 2000);
+  } catch (error) {
+    showError(error.message.includes('Receiving end does not exist')
+      ? I18n.t('popupErrorTabGone')
+      : error.message);
+  }
+}
+
+async function clearHighlightsOnPage() {
+  if (analyzedTabId === null) return;
+
+  try {
+    await chrome.tabs.sendMessage(analyzedTabId, { action: 'clearHighlights' }, TOP_FRAME);
+  } catch (e) {
+    // The tab was closed or navigated away; nothing left to clear
+  }
+}
+
+// ============================================================================
+// Apply Rewrite on Page
+// ============================================================================
+
+async function applyRewriteOnPage() {
+  if (!analysisResult?.finalText || analyzedTabId === null) return;
+
+  const replacements = alignParagraphs(pageBlocks, analysisResult.finalText)
+    .filter(r => r.id !== null && r.text !== r.original);
+
+  if (replacements.length === 0) {
+    showError(I18n.t('popupErrorNoParagraphs'));
+    return;
+  }
+
+  try {
+    const response = await chrome.tabs.sendMessage(analyzedTabId, { action: 'applyRewrite', replacements }, TOP_FRAME);
+    if (!response || !response.success) {
+      throw new Error(response?.error || I18n.t('popupErrorApply'));
+    }
+    hideError();
+    document.getElementById('restoreOriginalBtn').disabled = response.applied === 0;
+    const btn = document.getElementById('applyRewriteBtn');
+    btn.textContent = I18n.t('popupApplied', response.applied);
+    setTimeout(() => { btn.textContent = I18n.t('popupApplyButton'); }, 2000);
+  } catch (error) {
+    showError(error.message.includes('Receiving end does not exist')
+      ? I18n.t('popupErrorTabGone')
+      : error.message);
+  }
+}
+
+async function restoreOriginalOnPage() {
+  if (analyzedTabId === null) return;
+
+  try {
+    await chrome.tabs.sendMessage(analyzedTabId, { action: 'restoreOriginal' }, TOP_FRAME);
+  } catch (e) {
+    // The tab was closed or navigated away; the original is already back
+  }
+  document.getElementById('restoreOriginalBtn').disabled = true;
+}
+
+// Maps the rewritten paragraphs back onto the page blocks they came from.
+// The model may split or merge paragraphs, so this is a monotonic alignment
+// that allows 1-1, 1-2 and 2-1 matches scored by word overlap.
+function alignParagraphs(blocks, rewrittenText) {
+  const rewritten = rewrittenText.split(/\n{2,}/).map(p => p.trim()).filter(p => p);
+  const n = blocks.length;
+  const m = rewritten.length;
+  if (n === 0 || m === 0) return [];
+
+  const origWords = blocks.map(b => wordSet(b.text));
+  const rewWords = rewritten.map(wordSet);
+  const union = (a, b) => new Set([...a, ...b]);
+
+  // score[i][j]: best alignment of the first i blocks and j rewritten paragraphs
+  const score = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  const move = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(null));
+
+  for (let i = 0; i <= n; i++) {
+    for (let j = 0; j <= m; j++) {
+      if (i === 0 && j === 0) continue;
+      const options = [];
+      if (i > 0) options.push([score[i - 1][j], 'skipOriginal']);
+      if (j > 0) options.push([score[i][j - 1], 'skipRewritten']);
+      if (i > 0 && j > 0) {
+        options.push([score[i - 1][j - 1] + similarity(origWords[i - 1], rewWords[j - 1]), 'match']);
+      }
+      if (i > 0 && j > 1) {
+        const merged = union(rewWords[j - 2], rewWords[j - 1]);
+        options.push([score[i - 1][j - 2] + similarity(origWords[i - 1], merged), 'split']);
+      }
+      if (i > 1 && j > 0) {
+        const merged = union(origWords[i - 2], origWords[i - 1]);
+        options.push([score[i - 2][j - 1] + similarity(merged, rewWords[j - 1]), 'merge']);
+      }
+      const best = options.reduce((a, b) => (b[0] > a[0] ? b : a));
+      score[i][j] = best[0];
+      move[i][j] = best[1];
+    }
+  }
+
+  const replacements = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const step = move[i][j];
+    if (step === 'match') {
+      replacements.push({ ...blocks[i - 1], original: blocks[i - 1].text, text: rewritten[j - 1] });
+      i--; j--;
+    } else if (step === 'split') {
+      replacements.push({ ...blocks[i - 1], original: blocks[i - 1].text, text: `${rewritten[j - 2]} ${rewritten[j - 1]}` });
+      i--; j -= 2;
+    } else if (step === 'merge') {
+      // The merged paragraph goes in the first block and the second is emptied,
+      // unless only the second one can be written back to the page
+      const first = blocks[i - 2];
+      const second = blocks[i - 1];
+      const intoFirst = first.id !== null || second.id === null;
+      replacements.push({ ...second, original: second.text, text: intoFirst ? '' : rewritten[j - 1] });
+      replacements.push({ ...first, original: first.text, text: intoFirst ? rewritten[j - 1] : '' });
+      i -= 2; j--;
+    } else if (step === 'skipOriginal') {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return replacements.reverse();
+}
+
+function wordSet(text) {
+  return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 2));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(w => { if (b.has(w)) shared++; });
+  return (2 * shared) / (a.size + b.size);
 }
@@ -0,0 +1,23 @@
+// ============================================================================
+// Aclarador Chrome Extension - Printable Report
+// Shows the report saved by the popup and opens the print dialog, from which
+// it can be saved as PDF.
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+  I18n.localize(document);
+  const { printReport } = await chrome.storage.local.get('printReport');
+  if (!printReport) {
+    document.body.textContent = I18n.t('printNoReport');
+    return;
+  }
+
+  // Extension pages only run their own script files, so the standalone HTML
+  // report is parsed and its styles and content moved into this page
+  const report = new DOMParser().parseFromString(Report.toHTML(printReport), 'text/html');
+  document.title = report.title;
+  document.head.append(...report.head.querySelectorAll('style'));
+  document.body.replaceChildren(...report.body.childNodes);
+
+  window.print();
+});
@@ -0,0 +1,365 @@
+// ============================================================================
+// Checks for the modules that need no browser: tokenizer, passive voice,
+// grammar rules, language detection, readability, diff and rule settings.
+// The lib files are loaded into one VM context, in the order the extension
+// loads them, with chrome.i18n answering from _locales/es.
+//
+//   node test/run.js
+// ============================================================================
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+const LIB_FILES = [
+  'lib/i18n.js', 'lib/languages.js', 'lib/tokenizer.js', 'lib/readability.js', 'lib/passive.js',
+  'lib/providers.js', 'lib/rules.js', 'lib/audiences.js', 'lib/easyread.js', 'lib/agents.js', 'lib/diff.js'
+];
+
+// chrome.i18n.getMessage over a messages.json: $NAME$ takes the substitution
+// its placeholder points to ($1, $2...)
+function i18nFrom(locale) {
+  const messages = JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', locale, 'messages.json'), 'utf8'));
+  return {
+    getMessage(key, substitutions = []) {
+      const entry = messages[key];
+      if (!entry) return '';
+      return entry.message.replace(/\$(\w+)\$/g, (match, name) => {
+        const placeholder = entry.placeholders?.[name.toLowerCase()];
+        if (!placeholder) return match;
+        return substitutions[Number(placeholder.content.slice(1)) - 1] ?? '';
+      });
+    }
+  };
+}
+
+const context = vm.createContext({
+  console,
+  chrome: {
+    i18n: i18nFrom('es'),
+    storage: { sync: { get: async () => ({}) }, local: { get: async () => ({}) } }
+  }
+});
+LIB_FILES.forEach(file => {
+  vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+});
+
+// Top-level consts of the lib files live in the context's script scope
+const lib = name => vm.runInContext(name, context);
+const Tokenizer = lib('Tokenizer');
+const PassiveVoice = lib('PassiveVoice');
+const Languages = lib('Languages');
+const Readability = lib('Readability');
+const TextDiff = lib('TextDiff');
+const RuleSettings = lib('RuleSettings');
+const DEFAULT_RULES = lib('DEFAULT_RULES');
+const I18n = lib('I18n');
+const grammar = vm.runInContext('new GrammarAgent()', context);
+
+// Objects made inside the context have the context's prototypes, which
+// deepStrictEqual tells apart from this realm's
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// ============================================================================
+// Runner
+// ============================================================================
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+async function run() {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`ok   ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`FAIL ${name}\n     ${error.message.split('\n').join('\n     ')}`);
+    }
+  }
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+const sentenceTexts = (text, language) => Tokenizer.sentences(text, language).map(s => s.text);
+
+test('tokenizer: abbreviations do not end a sentence', () => {
+  assert.deepEqual(plain(sentenceTexts('El Sr. García llegó tarde. Luego se fue.')), ['El Sr. García llegó tarde.', 'Luego se fue.']);
+  assert.deepEqual(plain(sentenceTexts('Mr. Smith met Mrs. Jones. They left soon after.', 'en')), ['Mr. Smith met Mrs. Jones.', 'They left soon after.']);
+});
+
+test('tokenizer: abbreviations follow the language', () => {
+  const text = 'Mr. Smith and Mrs. Jones met Ltd. Corp. staff. They left soon after.';
+  assert.equal(Tokenizer.sentences(text, 'en').length, 2);
+  assert.equal(Tokenizer.sentences(text, 'es').length, 5);
+});
+
+test('tokenizer: a dialogue dash only opens a sentence before a capital', () => {
+  assert.deepEqual(plain(sentenceTexts('¿Vienes? —preguntó.')), ['¿Vienes? —preguntó.']);
+  assert.deepEqual(plain(sentenceTexts('¿Vienes? —Sí, voy.')), ['¿Vienes?', '—Sí, voy.']);
+  assert.deepEqual(plain(sentenceTexts('Fin. —Hola.')), ['Fin.', '—Hola.']);
+});
+
+test('tokenizer: sentence offsets point into the text', () => {
+  const text = 'Primera frase. Segunda frase.';
+  Tokenizer.sentences(text).forEach(sentence => {
+    assert.equal(text.slice(sentence.start, sentence.end), sentence.text);
+  });
+});
+
+test('tokenizer: word count', () => {
+  assert.equal(Tokenizer.wordCount('La solicitud se presenta en el registro.'), 7);
+  assert.equal(Tokenizer.wordCount(''), 0);
+});
+
+// ============================================================================
+// Passive voice
+// ============================================================================
+
+const passives = text => PassiveVoice.detect(text).map(p => `${p.kind}:${p.text}`);
+
+test('passive: pasiva refleja, simple and compound', () => {
+  assert.deepEqual(plain(passives('Se aprobó la norma.')), ['refleja:Se aprobó']);
+  assert.deepEqual(plain(passives('Se pueden presentar las solicitudes.')), ['refleja:Se pueden presentar']);
+  assert.deepEqual(plain(passives('Se han publicado las listas.')), ['refleja:Se han publicado']);
+  assert.deepEqual(plain(passives('Se habían recibido varias quejas.')), ['refleja:Se habían recibido']);
+});
+
+test('passive: reflexive verbs are not passives', () => {
+  assert.deepEqual(plain(passives('Se lava las manos.')), []);
+  assert.deepEqual(plain(passives('Se rompió la pierna.')), []);
+  assert.deepEqual(plain(passives('Se ha quedado la casa vacía.')), []);
+});
+
+test('passive: periphrastic passive and its agent', () => {
+  const [found] = PassiveVoice.detect('El expediente fue revisado por la comisión.');
+  assert.equal(found.kind, 'perifrastica');
+  assert.equal(found.text, 'fue revisado');
+  assert.equal(found.hasAgent, true);
+});
+
+// ============================================================================
+// Grammar rules
+// ============================================================================
+
+async function check(text, language = 'es') {
+  const result = await grammar.analyze(text, { rules: { ...DEFAULT_RULES, language } });
+  return {
+    text: result.correctedText,
+    rules: result.issues.map(issue => issue.rule + (issue.replacement !== null ? '*' : ''))
+  };
+}
+
+test('grammar: dequeísmo and spacing are fixed', async () => {
+  const result = await check('Pienso de que vendrá.  Hola .');
+  assert.equal(result.text, 'Pienso que vendrá. Hola.');
+  assert.deepEqual(plain(result.rules), ['dequeismo*', 'double_space*', 'space_before_punctuation*']);
+});
+
+test('grammar: spaces inside brackets, quotes and opening marks are removed', async () => {
+  const result = await check('Está ( entre paréntesis ) y « así » , ¿ vale ?');
+  assert.equal(result.text, 'Está (entre paréntesis) y «así», ¿vale?');
+});
+
+test('grammar: report-only rules leave the text alone', async () => {
+  for (const [text, rule] of [
+    ['Les vi ayer.', 'leismo'],
+    ['La reunión, se celebrará el lunes.', 'subject_comma'],
+    ['No pagarás nada sino la tasa de examen.', 'sino_si_no'],
+    ['Los documentos se encuentran en: La Almunia de Doña Godina.', 'colon_capital']
+  ]) {
+    const result = await check(text);
+    assert.equal(result.text, text);
+    assert.deepEqual(plain(result.rules), [rule], text);
+  }
+});
+
+test('grammar: correct doublings are only reported', async () => {
+  const text = 'I know that that is wrong, and he had had enough.';
+  const result = await check(text, 'en');
+  assert.equal(result.text, text);
+  assert.deepEqual(plain(result.rules), ['repeated_word', 'repeated_word']);
+});
+
+test('grammar: "es decir" after a comma is not a subject comma', async () => {
+  assert.deepEqual(plain((await check('La reunión, es decir, la asamblea, se celebra hoy.')).rules), []);
+});
+
+test('grammar: Spanish rules do not run on other languages', async () => {
+  assert.deepEqual(plain((await check('Pienso de que vendrá.', 'ca')).rules), []);
+});
+
+test('grammar: checks turned off in the settings are skipped', async () => {
+  const result = await grammar.analyze('Pienso de que vendrá.', {
+    rules: { ...DEFAULT_RULES, language: 'es', checks: { dequeismo: false } }
+  });
+  assert.equal(result.issues.length, 0);
+});
+
+// ============================================================================
+// Languages
+// ============================================================================
+
+const LANGUAGE_SAMPLES = {
+  es: 'El ayuntamiento informa de que el plazo para presentar las solicitudes termina el 30 de junio. Los documentos deben entregarse en la secretaría o enviarse por correo. Las dudas se pueden consultar por teléfono.',
+  ca: 'L\'ajuntament informa que el termini per presentar les sol·licituds acaba el 30 de juny. Els veïns poden fer la sol·licitud amb el formulari.',
+  an: 'O concello ha aprebato as bases d\'as aduyas ta os chóvens d\'o lugar. Ixo ye important pa toz os vecins, que dende agora pueden fer a solicitud. Tamién bi ha una sesión informativa dica o viernes.',
+  pt: 'A câmara informa que o prazo para apresentar os pedidos termina no dia 30 de junho. Os documentos devem ser entregues na secretaria ou enviados pelo correio. As dúvidas podem ser esclarecidas por telefone.',
+  gl: 'O concello informa que o prazo para presentar as solicitudes remata o 30 de xuño. Isto é importante para todos os veciños, que poden facer a solicitude dende agora. Tamén hai unha sesión informativa ata o venres.'
+};
+
+test('languages: samples are told apart', () => {
+  Object.entries(LANGUAGE_SAMPLES).forEach(([code, text]) => {
+    assert.equal(Languages.detect(text).code, code, text);
+  });
+});
+
+test('languages: only the analyzed languages are supported', () => {
+  assert.equal(Languages.detect(LANGUAGE_SAMPLES.an).supported, true);
+  assert.equal(Languages.detect(LANGUAGE_SAMPLES.pt).supported, false);
+  assert.equal(Languages.detect(LANGUAGE_SAMPLES.gl).supported, false);
+});
+
+test('languages: the lang attribute wins over the guess and is reported', () => {
+  const language = Languages.detect(LANGUAGE_SAMPLES.es, 'ca-ES-valencia');
+  assert.equal(language.code, 'ca');
+  assert.equal(language.source, 'lang');
+  assert.equal(language.warnings.length, 1);
+});
+
+test('languages: short texts without a lang fall back to Spanish', () => {
+  const language = Languages.detect('Hola.');
+  assert.equal(language.code, 'es');
+  assert.equal(language.source, 'default');
+});
+
+test('languages: lang tags and ISO 639-2 codes', () => {
+  assert.equal(Languages.normalize('es-ES'), 'es');
+  assert.equal(Languages.normalize('spa'), 'es');
+  assert.equal(Languages.normalize('arg'), 'an');
+  assert.equal(Languages.normalize('x'), '');
+});
+
+// ============================================================================
+// Readability
+// ============================================================================
+
+test('readability: Spanish syllables, diphthongs and hiatus', () => {
+  assert.equal(Readability.syllables('camión'), 2);
+  assert.equal(Readability.syllables('país'), 2);
+  assert.equal(Readability.syllables('ayuntamiento'), 5);
+});
+
+test('readability: indices of the language and their primary index', () => {
+  const spanish = Readability.analyze(LANGUAGE_SAMPLES.es, 'es');
+  assert.equal(spanish.language, 'es');
+  assert.ok(spanish[spanish.primary].value > 0);
+  assert.equal(spanish.stats.sentences, 3);
+
+  const english = Readability.analyze('The cat sat on the mat. It was happy.', 'en');
+  assert.ok(english.fleschReadingEase.value > 90);
+});
+
+test('readability: nothing to measure', () => {
+  assert.equal(Readability.analyze('', 'es'), null);
+  assert.equal(Readability.analyze(LANGUAGE_SAMPLES.pt, 'pt'), null);
+});
+
+// ============================================================================
+// Diff
+// ============================================================================
+
+test('diff: replaced words', () => {
+  const ops = plain(TextDiff.diff('El perro come pienso.', 'El gato come pienso.'));
+  assert.deepEqual(ops.map(op => [op.type, op.text]), [
+    ['equal', 'El '], ['delete', 'perro '], ['insert', 'gato '], ['equal', 'come pienso.']
+  ]);
+});
+
+test('diff: both texts can be rebuilt from the operations', () => {
+  const original = 'La solicitud deberá ser presentada por el interesado. Se abonará la tasa.';
+  const improved = 'Presente usted la solicitud. Después, pague la tasa.';
+  const ops = TextDiff.diff(original, improved);
+  assert.equal(ops.filter(op => op.type !== 'delete').map(op => op.text).join(''), improved);
+  assert.equal(ops.filter(op => op.type !== 'insert').map(op => op.original ?? op.text).join(''), original);
+});
+
+test('diff: a moved sentence is paired', () => {
+  const ops = TextDiff.diff('Primera frase larga aquí. Segunda frase distinta.', 'Segunda frase distinta. Primera frase larga aquí.');
+  const moved = ops.filter(op => op.moveId);
+  assert.ok(moved.some(op => op.type === 'delete') && moved.some(op => op.type === 'insert'));
+});
+
+// ============================================================================
+// Rule settings
+// ============================================================================
+
+test('rules: missing values take the defaults', () => {
+  const rules = RuleSettings.normalize({});
+  assert.deepEqual(plain(rules), plain(DEFAULT_RULES));
+  assert.equal(rules.inlineChecks, true);
+});
+
+test('rules: numbers are clamped and ranges put in order', () => {
+  const rules = RuleSettings.normalize({ maxSentenceWords: 1000, optimalSentenceMin: 25, optimalSentenceMax: 15, severityMedium: 5, severityHigh: 2 });
+  assert.equal(rules.maxSentenceWords, 100);
+  assert.equal(rules.optimalSentenceMin, 15);
+  assert.equal(rules.optimalSentenceMax, 25);
+  assert.equal(rules.severityHigh, 5);
+});
+
+test('rules: switches keep only booleans', () => {
+  const rules = RuleSettings.normalize({ inlineChecks: false, agents: { rewriter: false, seo: 'no' }, checks: { leismo: false, dequeismo: true } });
+  assert.equal(rules.inlineChecks, false);
+  assert.equal(RuleSettings.isAgentEnabled(rules, 'rewriter'), false);
+  assert.equal(RuleSettings.isAgentEnabled(rules, 'seo'), true);
+  assert.deepEqual(plain(rules.checks), { leismo: false });
+});
+
+test('rules: exported profiles round-trip', () => {
+  const rules = RuleSettings.normalize({ maxSentenceWords: 25 });
+  const parsed = RuleSettings.parse(RuleSettings.toJSON('Sede', rules));
+  assert.equal(parsed.name, 'Sede');
+  assert.deepEqual(plain(parsed.rules), plain(rules));
+});
+
+test('rules: files that are not profiles are rejected', () => {
+  assert.throws(() => RuleSettings.parse('{'), /JSON/);
+  for (const json of [
+    '{"format":"other","version":1,"rules":{}}',
+    '{"format":"aclarador-rules","version":1,"rules":null}',
+    '{"format":"aclarador-rules","version":1}'
+  ]) {
+    assert.throws(() => RuleSettings.parse(json), { message: I18n.t('rulesErrorNotProfile') }, json);
+  }
+  assert.throws(() => RuleSettings.parse('{"format":"aclarador-rules","version":99,"rules":{}}'), { message: I18n.t('rulesErrorNewerVersion') });
+});
+
+test('rules: a profile without a name gets one', () => {
+  const parsed = RuleSettings.parse('{"format":"aclarador-rules","version":1,"rules":{}}');
+  assert.equal(parsed.name, I18n.t('rulesImportedProfile'));
+});
+
+// ============================================================================
+// Sections
+// ============================================================================
+
+test('sections: capped by what a reply of maxTokens can hold', () => {
+  const sectionCharsFor = lib('sectionCharsFor');
+  assert.equal(sectionCharsFor(3000, 4000), 3000);
+  assert.equal(sectionCharsFor(3000, 1000), 1500);
+  assert.equal(sectionCharsFor(3000, 100), 500);
+});
+
+run();